@@ -0,0 +1,68 @@
+import express from "express";
+import { cartridges } from "../lib/cartridges.js";
+
+const router = express.Router();
+
+// Each endpoint's cache controls: optional parseParams, which validates the
+// request body, and the actions themselves (clear, warm, refresh, inspect)
+const ENDPOINTS = Object.fromEntries(
+  cartridges
+    .filter((cartridge) => cartridge.admin)
+    .map((cartridge) => [cartridge.name, cartridge.admin])
+);
+
+// GET endpoint for admin - lists the endpoints and the actions they offer
+router.get("/", (req, res) => {
+  res.json({
+    endpoints: Object.entries(ENDPOINTS).map(([endpoint, { actions }]) => ({
+      endpoint,
+      actions: Object.keys(actions)
+    }))
+  });
+});
+
+// POST endpoint for running a cache action on an endpoint, e.g.
+// POST /admin/WholeEarthSatelliteImage/clear with { "collection": "natural" }
+router.post("/:endpoint/:action", async (req, res) => {
+  const { endpoint, action } = req.params;
+  const controls = ENDPOINTS[endpoint];
+
+  if (!controls || !Object.hasOwn(controls.actions, action)) {
+    return res.status(404).json({
+      message: "Unknown admin action",
+      error: `No ${action} action for ${endpoint}`
+    });
+  }
+
+  let params;
+
+  try {
+    params = controls.parseParams ? controls.parseParams(req.body || {}) : {};
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
+  try {
+    const result = await controls.actions[action](params);
+    console.log(`Admin ${req.apiKey.name} ran ${action} on ${endpoint}`);
+
+    res.json({
+      endpoint,
+      action,
+      status: "success",
+      timestamp: new Date().toISOString(),
+      ...result
+    });
+  } catch (error) {
+    console.error(`Error running ${action} on ${endpoint}:`, error);
+    res.status(500).json({
+      message: `Error running ${action} on ${endpoint}`,
+      error: error.message
+    });
+  }
+});
+
+export default router;
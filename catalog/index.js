@@ -0,0 +1,41 @@
+import express from "express";
+import { cartridges } from "../lib/cartridges.js";
+import { buildOpenApiDocument, renderDocsPage } from "../lib/openapi.js";
+
+const router = express.Router();
+
+// Manifests are fixed once the cartridges are loaded, so build these once
+const openApiDocument = buildOpenApiDocument(cartridges);
+const docsPage = renderDocsPage(openApiDocument);
+
+// GET endpoint for catalog - lists every cartridge and its routes and
+// parameters, so menus can be built without knowing the cartridges ahead
+router.get("/catalog", (req, res) => {
+  res.json({
+    cartridges: cartridges.map(({ manifest }) => ({
+      name: manifest.name,
+      description: manifest.description,
+      path: `/${manifest.name}`,
+      demo: manifest.demo,
+      refreshSeconds: manifest.refreshSeconds,
+      // Response shapes are left to /openapi.json
+      routes: manifest.routes.map(({ body, response, ...route }) => route)
+    })),
+    metadata: {
+      timestamp: new Date().toISOString(),
+      count: cartridges.length
+    }
+  });
+});
+
+// GET endpoint for the OpenAPI 3 document, generated from the manifests
+router.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// GET endpoint for browsable API docs
+router.get("/docs", (req, res) => {
+  res.type("html").send(docsPage);
+});
+
+export default router;
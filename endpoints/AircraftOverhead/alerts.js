@@ -0,0 +1,512 @@
+import express from "express";
+import crypto from "crypto";
+import dns from "dns";
+import fs from "fs";
+import http from "http";
+import https from "https";
+import net from "net";
+import { CATEGORIES } from "./providers.js";
+import { requireScope } from "../../lib/auth.js";
+import { config } from "../../lib/config.js";
+
+const router = express.Router();
+
+// Rules live in a JSON file that can be edited by hand or through the API
+const RULES_FILE = config.alertRulesFile;
+
+const POLL_INTERVAL = 30 * 1000; // 30 seconds in milliseconds
+const WEBHOOK_TIMEOUT = 5000; // 5 seconds in milliseconds
+const DEFAULT_COOLDOWN_MINUTES = 30;
+
+// Last time each rule matched each aircraft, keyed by "ruleId:aircraftId"
+const lastMatched = new Map();
+
+let rules = [];
+let loadAircraft = null;
+
+// Address ranges webhooks may not reach unless their host is allowed in
+// ALERT_WEBHOOK_ALLOWED_HOSTS: loopback, private, link-local and the like
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16]
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10]
+].forEach(([address, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped
+    ? PRIVATE_ADDRESSES.check(mapped[1], "ipv4")
+    : PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+};
+
+const getWebhookHost = (url) =>
+  new URL(url).hostname
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "")
+    .toLowerCase();
+
+const isAllowedHost = (host) => config.alertWebhookAllowedHosts.includes(host);
+
+// Reject webhook URLs that name a private address or localhost outright
+const checkWebhookUrl = (url) => {
+  const host = getWebhookHost(url);
+
+  if (
+    !isAllowedHost(host) &&
+    (host === "localhost" ||
+      host.endsWith(".localhost") ||
+      (net.isIP(host) && isPrivateAddress(host)))
+  ) {
+    throw new Error(
+      `webhook ${url} points at a private or loopback address; allow its host with ALERT_WEBHOOK_ALLOWED_HOSTS`
+    );
+  }
+};
+
+// A public name can still resolve to a LAN address, so webhook connections
+// resolve their host with this, which refuses private addresses. Checking
+// the address actually connected to leaves no second lookup for DNS
+// rebinding to answer differently.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(
+        new Error(`${hostname} resolves to a private or loopback address`)
+      );
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// POST a body to a webhook, resolving to the response status. Redirects
+// aren't followed, since they could point anywhere, the LAN included.
+const postWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === "https:" ? https : http;
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: isAllowedHost(getWebhookHost(url))
+          ? dns.lookup
+          : lookupPublicAddress,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Webhooks go out unsigned without a secret, which receivers can't verify
+const warnIfUnsigned = () => {
+  if (rules.length > 0 && !config.alertWebhookSecret) {
+    console.warn(
+      "ALERT_WEBHOOK_SECRET is not set, so alert webhooks are sent unsigned"
+    );
+  }
+};
+
+// Read rules from disk, keeping an empty rule set if the file is missing.
+// Rules that don't validate are skipped (and logged) one by one, so a typo
+// in a hand-edited file doesn't turn off every other alert.
+const loadRules = () => {
+  try {
+    if (!fs.existsSync(RULES_FILE)) {
+      rules = [];
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(RULES_FILE, "utf8"));
+    rules = (data.rules || []).flatMap((rule, index) => {
+      try {
+        return [validateRule(rule)];
+      } catch (error) {
+        console.error(
+          `Skipping alert rule ${rule?.id ?? `#${index + 1}`} in ${RULES_FILE}: ${error.message}`
+        );
+        return [];
+      }
+    });
+  } catch (error) {
+    console.error("Error loading alert rules:", error);
+    rules = [];
+  }
+};
+
+const saveRules = () => {
+  fs.writeFileSync(RULES_FILE, JSON.stringify({ rules }, null, 2));
+};
+
+const isNumberOrUndefined = (value) =>
+  value === undefined || (typeof value === "number" && Number.isFinite(value));
+
+// Check a rule definition and fill in defaults
+const validateRule = (rule) => {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("rule must be an object");
+  }
+
+  const match = rule.match || {};
+  const { categories, flights, minAltitude, maxAltitude, maxDistance } = match;
+
+  if (
+    categories !== undefined &&
+    (!Array.isArray(categories) ||
+      !categories.every((c) => typeof c === "string"))
+  ) {
+    throw new Error("match.categories must be an array of strings");
+  }
+
+  const unknownCategory = categories?.find((c) => !CATEGORIES.includes(c));
+
+  if (unknownCategory) {
+    throw new Error(
+      `match.categories has unknown category ${unknownCategory}; use ${CATEGORIES.join(", ")}`
+    );
+  }
+
+  if (
+    flights !== undefined &&
+    (!Array.isArray(flights) || !flights.every((f) => typeof f === "string"))
+  ) {
+    throw new Error("match.flights must be an array of strings");
+  }
+
+  if (
+    !isNumberOrUndefined(minAltitude) ||
+    !isNumberOrUndefined(maxAltitude) ||
+    !isNumberOrUndefined(maxDistance)
+  ) {
+    throw new Error(
+      "match.minAltitude, match.maxAltitude and match.maxDistance must be numbers"
+    );
+  }
+
+  if (
+    !Array.isArray(rule.webhooks) ||
+    rule.webhooks.length === 0 ||
+    !rule.webhooks.every((url) => /^https?:\/\//.test(url))
+  ) {
+    throw new Error("webhooks must be a non-empty array of http(s) URLs");
+  }
+
+  rule.webhooks.forEach(checkWebhookUrl);
+
+  if (!isNumberOrUndefined(rule.cooldownMinutes)) {
+    throw new Error("cooldownMinutes must be a number");
+  }
+
+  return {
+    id: rule.id ? String(rule.id) : crypto.randomUUID(),
+    name: rule.name || "",
+    enabled: rule.enabled !== false,
+    match: {
+      categories,
+      flights: flights?.map((f) => f.toUpperCase()),
+      minAltitude,
+      maxAltitude,
+      maxDistance
+    },
+    webhooks: rule.webhooks,
+    cooldownMinutes: rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES
+  };
+};
+
+// Check an aircraft (carrying observer geometry in nm) against a rule
+const matchesRule = (rule, aircraft) => {
+  const { categories, flights, minAltitude, maxAltitude, maxDistance } =
+    rule.match;
+
+  return (
+    (!categories || categories.includes(aircraft.category)) &&
+    (!flights || flights.includes(aircraft.flight?.toUpperCase())) &&
+    (minAltitude === undefined || aircraft.altitude >= minAltitude) &&
+    (maxAltitude === undefined || aircraft.altitude <= maxAltitude) &&
+    (maxDistance === undefined || aircraft.distance <= maxDistance)
+  );
+};
+
+// POST a payload signed with an HMAC of "timestamp.body", so receivers can
+// verify it came from us and reject replays. Replay mode is for working
+// offline against recorded traffic, so nothing is sent then.
+const deliverWebhook = async (url, payload) => {
+  if (config.upstreamMode === "replay") {
+    console.log(`Not sending alert webhook to ${url} in replay mode`);
+    return {
+      url,
+      delivered: false,
+      error: "Webhooks are not sent in replay mode"
+    };
+  }
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "CartridgeMachine-API/1.0",
+    "X-Cartridge-Timestamp": timestamp
+  };
+
+  const secret = config.alertWebhookSecret;
+
+  if (secret) {
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    headers["X-Cartridge-Signature"] = `sha256=${signature}`;
+  }
+
+  try {
+    // Rules are checked when saved, but the rules file can be edited by hand
+    checkWebhookUrl(url);
+
+    const status = await postWebhook(url, headers, body);
+
+    if (status >= 300 && status < 400) {
+      throw new Error(
+        `Webhook redirected with ${status}, which isn't followed`
+      );
+    }
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook returned ${status}`);
+    }
+
+    return { url, delivered: true, status };
+  } catch (error) {
+    console.error(`Error delivering alert webhook to ${url}:`, error.message);
+    return { url, delivered: false, error: error.message };
+  }
+};
+
+const buildPayload = (rule, aircraft, event = "aircraft.alert") => ({
+  event,
+  rule: { id: rule.id, name: rule.name },
+  aircraft,
+  timestamp: new Date().toISOString()
+});
+
+// Fire every enabled rule that newly matches an aircraft. An aircraft that
+// keeps matching only fires again after going unmatched for the cooldown.
+const evaluateRules = (aircraftData, now = Date.now()) => {
+  rules
+    .filter((rule) => rule.enabled)
+    .forEach((rule) => {
+      aircraftData
+        .filter((aircraft) => matchesRule(rule, aircraft))
+        .forEach((aircraft) => {
+          const key = `${rule.id}:${aircraft.id}`;
+          const previous = lastMatched.get(key);
+          lastMatched.set(key, now);
+
+          if (previous && now - previous < rule.cooldownMinutes * 60 * 1000) {
+            return;
+          }
+
+          const payload = buildPayload(rule, aircraft);
+          rule.webhooks.forEach((url) => deliverWebhook(url, payload));
+        });
+    });
+
+  // Forget matches whose cooldown has long expired
+  const maxCooldown = Math.max(
+    DEFAULT_COOLDOWN_MINUTES,
+    ...rules.map((rule) => rule.cooldownMinutes)
+  );
+  lastMatched.forEach((time, key) => {
+    if (now - time > maxCooldown * 60 * 1000) {
+      lastMatched.delete(key);
+    }
+  });
+};
+
+// Poll for aircraft and evaluate rules, skipping the upstream call entirely
+// while no rule is enabled
+const pollRules = async () => {
+  const enabledRules = rules.filter((rule) => rule.enabled);
+
+  if (!loadAircraft || enabledRules.length === 0) {
+    return;
+  }
+
+  try {
+    // Search wide enough to cover the largest geofence
+    const radiusNm = Math.max(
+      0,
+      ...enabledRules.map((rule) => rule.match.maxDistance || 0)
+    );
+    const aircraftData = await loadAircraft(radiusNm);
+    evaluateRules(aircraftData);
+  } catch (error) {
+    console.error("Error evaluating alert rules:", error);
+  }
+};
+
+// Start polling with a function that returns aircraft carrying observer
+// geometry in nautical miles, searching at least the given radius in nm
+export const startAlertMonitor = (aircraftLoader) => {
+  loadAircraft = aircraftLoader;
+  loadRules();
+  warnIfUnsigned();
+  setInterval(pollRules, POLL_INTERVAL);
+};
+
+// Rules expose webhook URLs and change server state, so demo keys can't use them
+const rejectDemoMode = (req, res, next) => {
+  if (req.demoMode) {
+    return res.status(403).json({
+      error: "Demo mode",
+      message: "Alert rules are not available with the demo API key"
+    });
+  }
+
+  next();
+};
+
+const findRule = (req, res, next) => {
+  req.rule = rules.find((rule) => rule.id === req.params.id);
+
+  if (!req.rule) {
+    return res.status(404).json({
+      message: "Rule not found",
+      error: `No alert rule with id ${req.params.id}`
+    });
+  }
+
+  next();
+};
+
+// Rules make the server send requests on the caller's behalf, so they are
+// for admin keys only
+router.use(rejectDemoMode, requireScope("admin"));
+
+// GET endpoint for listing alert rules
+router.get("/rules", (req, res) => {
+  res.json({ rules });
+});
+
+// GET endpoint for a single alert rule
+router.get("/rules/:id", findRule, (req, res) => {
+  res.json(req.rule);
+});
+
+// POST endpoint for creating an alert rule
+router.post("/rules", (req, res) => {
+  let rule;
+
+  try {
+    rule = validateRule(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid rule",
+      message: error.message
+    });
+  }
+
+  if (rules.some((existing) => existing.id === rule.id)) {
+    return res.status(409).json({
+      error: "Duplicate rule",
+      message: `An alert rule with id ${rule.id} already exists`
+    });
+  }
+
+  try {
+    rules.push(rule);
+    saveRules();
+    warnIfUnsigned();
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error saving alert rule",
+      error: error.message
+    });
+  }
+});
+
+// PUT endpoint for replacing an alert rule
+router.put("/rules/:id", findRule, (req, res) => {
+  let rule;
+
+  try {
+    rule = validateRule({ ...req.body, id: req.rule.id });
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid rule",
+      message: error.message
+    });
+  }
+
+  try {
+    rules = rules.map((existing) =>
+      existing.id === rule.id ? rule : existing
+    );
+    saveRules();
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error saving alert rule",
+      error: error.message
+    });
+  }
+});
+
+// DELETE endpoint for removing an alert rule
+router.delete("/rules/:id", findRule, (req, res) => {
+  try {
+    rules = rules.filter((rule) => rule.id !== req.rule.id);
+    saveRules();
+    res.json({
+      message: "Rule deleted successfully",
+      status: "success"
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error deleting alert rule",
+      error: error.message
+    });
+  }
+});
+
+// POST endpoint for sending a test payload to a rule's webhooks
+router.post("/rules/:id/test", findRule, async (req, res) => {
+  const payload = buildPayload(req.rule, null, "aircraft.alert.test");
+  const deliveries = await Promise.all(
+    req.rule.webhooks.map((url) => deliverWebhook(url, payload))
+  );
+
+  res.json({ deliveries });
+});
+
+export default router;
@@ -0,0 +1,73 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load the bundled lookup tables once at startup
+const loadData = (filename) =>
+  JSON.parse(fs.readFileSync(join(__dirname, "data", filename), "utf8"));
+
+const aircraftTypes = loadData("aircraft-types.json");
+const airlines = loadData("airlines.json");
+const icaoRanges = loadData("icao-ranges.json").map((range) => ({
+  start: parseInt(range.start, 16),
+  end: parseInt(range.end, 16),
+  country: range.country
+}));
+
+// Look up manufacturer, model and engines from an ICAO type designator
+const lookupAircraftType = (type) => {
+  if (!type) return null;
+  return aircraftTypes[type.toUpperCase()] || null;
+};
+
+// Airline callsigns are a three-letter ICAO prefix followed by a flight number
+// (e.g. "UAL79"); registrations used as callsigns (e.g. "N520AF") don't match
+const lookupOperator = (flight) => {
+  const match = flight?.toUpperCase().match(/^([A-Z]{3})\d/);
+
+  if (!match || !airlines[match[1]]) {
+    return null;
+  }
+
+  return { icao: match[1], ...airlines[match[1]] };
+};
+
+// Derive the country of registration from the ICAO 24-bit address block
+const lookupRegistrationCountry = (hex) => {
+  // Non-ICAO addresses (TIS-B, anonymous) are prefixed with "~"
+  if (!hex || !/^[0-9a-f]{6}$/i.test(hex)) {
+    return null;
+  }
+
+  const address = parseInt(hex, 16);
+  const range = icaoRanges.find(
+    ({ start, end }) => address >= start && address <= end
+  );
+
+  return range ? range.country : null;
+};
+
+// Add type, operator and registration details to a normalized aircraft,
+// plus a display-ready description such as "United Airlines Boeing 787-9"
+export const enrichAircraft = (aircraft) => {
+  const aircraftType = lookupAircraftType(aircraft.type);
+  const operator = lookupOperator(aircraft.flight);
+
+  const description = [
+    operator?.name,
+    aircraftType && `${aircraftType.manufacturer} ${aircraftType.model}`
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  return {
+    ...aircraft,
+    aircraftType,
+    operator,
+    registrationCountry: lookupRegistrationCountry(aircraft.id),
+    description: description || null
+  };
+};
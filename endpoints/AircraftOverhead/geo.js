@@ -0,0 +1,108 @@
+// Conversion factors from each supported unit to nautical miles
+export const UNIT_TO_NM = {
+  nm: 1,
+  km: 1 / 1.852,
+  mi: 1 / 1.150779
+};
+
+const FEET_PER_NM = 6076.12;
+const EARTH_RADIUS_NM = 3440.065;
+
+// Function to calculate distance between two lat/lon points in nautical miles
+export const calculateDistanceNM = (lat1, lon1, lat2, lon2) => {
+  const R = EARTH_RADIUS_NM;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+// Function to dead-reckon an aircraft's position from its speed and heading
+export const projectAircraftPosition = (aircraft, elapsedTimeSeconds) => {
+  if (!aircraft.speed || !aircraft.heading) {
+    return aircraft; // Skip if no speed or heading data
+  }
+
+  // Convert speed from knots to nautical miles per second
+  const speedNmPerSecond = aircraft.speed / 3600;
+
+  // Calculate distance traveled in nautical miles
+  const distanceTraveled = speedNmPerSecond * elapsedTimeSeconds;
+
+  // Convert heading to radians
+  const headingRadians = (aircraft.heading * Math.PI) / 180;
+
+  // Calculate new position
+  // 1 nautical mile = 1/60 degree of latitude
+  const deltaLat = (distanceTraveled * Math.cos(headingRadians)) / 60;
+  const deltaLon =
+    (distanceTraveled * Math.sin(headingRadians)) /
+    (60 * Math.cos((aircraft.lat * Math.PI) / 180));
+
+  return {
+    ...aircraft,
+    lat: aircraft.lat + deltaLat,
+    lon: aircraft.lon + deltaLon
+  };
+};
+
+// Function to calculate the initial bearing from one point to another in
+// degrees clockwise from true north
+export const calculateBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = (lat1 * Math.PI) / 180;
+  const phi2 = (lat2 * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x =
+    Math.cos(phi1) * Math.sin(phi2) -
+    Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Function to calculate the angle above the horizon of an aircraft seen from
+// ground level, allowing for the curvature of the Earth
+export const calculateElevationAngle = (distanceNm, altitudeFt) => {
+  const altitudeNm = altitudeFt / FEET_PER_NM;
+
+  if (distanceNm === 0) {
+    return 90;
+  }
+
+  const drop = (distanceNm * distanceNm) / (2 * EARTH_RADIUS_NM);
+  return (Math.atan2(altitudeNm - drop, distanceNm) * 180) / Math.PI;
+};
+
+// Add distance (in the given unit), bearing and elevation angle relative to
+// an observer
+export const addObserverGeometry = (aircraft, observer, unit) => {
+  const distanceNm = calculateDistanceNM(
+    observer.lat,
+    observer.lon,
+    aircraft.lat,
+    aircraft.lon
+  );
+  const altitude =
+    typeof aircraft.altitude === "number" ? aircraft.altitude : 0;
+
+  return {
+    ...aircraft,
+    distance: Math.round((distanceNm / UNIT_TO_NM[unit]) * 100) / 100,
+    bearing:
+      Math.round(
+        calculateBearing(
+          observer.lat,
+          observer.lon,
+          aircraft.lat,
+          aircraft.lon
+        ) * 10
+      ) / 10,
+    elevationAngle:
+      Math.round(calculateElevationAngle(distanceNm, altitude) * 10) / 10
+  };
+};
@@ -0,0 +1,90 @@
+import { config } from "../../lib/config.js";
+
+// How long positions are kept, overridable via AIRCRAFT_HISTORY_MINUTES
+export const getRetentionMinutes = () => config.aircraftHistoryMinutes;
+
+// Create an in-memory rolling history of aircraft positions keyed by hex id
+export const createTrackHistory = () => {
+  const tracks = new Map();
+
+  // Drop points older than the retention window, and aircraft with none left
+  const prune = (now) => {
+    const cutoff = now - getRetentionMinutes() * 60 * 1000;
+
+    tracks.forEach((track, id) => {
+      track.points = track.points.filter((point) => point.time >= cutoff);
+
+      if (track.points.length === 0) {
+        tracks.delete(id);
+      }
+    });
+  };
+
+  // Record the latest state of each aircraft in a response
+  const record = (aircraftData, now = Date.now()) => {
+    aircraftData.forEach((aircraft) => {
+      if (!aircraft.id || aircraft.lat == null || aircraft.lon == null) {
+        return;
+      }
+
+      const track = tracks.get(aircraft.id) || { points: [] };
+      const lastPoint = track.points[track.points.length - 1];
+
+      // Skip repeated fixes so stationary aircraft don't flood the trail
+      if (
+        !lastPoint ||
+        lastPoint.lat !== aircraft.lat ||
+        lastPoint.lon !== aircraft.lon ||
+        lastPoint.altitude !== aircraft.altitude
+      ) {
+        track.points.push({
+          lat: aircraft.lat,
+          lon: aircraft.lon,
+          altitude: aircraft.altitude,
+          time: now
+        });
+      }
+
+      track.latest = aircraft;
+      track.lastSeen = now;
+      tracks.set(aircraft.id, track);
+    });
+
+    prune(now);
+  };
+
+  // Return the last `limit` points for an aircraft, oldest first
+  const getTrail = (id, limit = Infinity) => {
+    const track = tracks.get(id);
+
+    if (!track) {
+      return [];
+    }
+
+    return track.points.slice(-limit).map((point) => ({
+      lat: point.lat,
+      lon: point.lon,
+      altitude: point.altitude,
+      timestamp: new Date(point.time).toISOString()
+    }));
+  };
+
+  // Return the latest state and full trail for an aircraft
+  const getTrack = (id) => {
+    prune(Date.now());
+
+    const track = tracks.get(id);
+
+    if (!track) {
+      return null;
+    }
+
+    return {
+      aircraft: track.latest,
+      lastSeen: new Date(track.lastSeen).toISOString(),
+      trail: getTrail(id)
+    };
+  };
+
+  return { record, getTrail, getTrack };
+};
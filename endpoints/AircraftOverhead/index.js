@@ -2,72 +2,79 @@ import express from "express";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import {
+  UNIT_TO_NM,
+  addObserverGeometry,
+  calculateDistanceNM,
+  projectAircraftPosition
+} from "./geo.js";
+import { subscribe } from "./stream.js";
+import { createTrackHistory, getRetentionMinutes } from "./history.js";
+import { enrichAircraft } from "./enrichment.js";
+import alertsRouter, { startAlertMonitor } from "./alerts.js";
+import { CATEGORIES, fetchAircraft, providers } from "./providers.js";
+import {
+  AIRCRAFT_DETAIL_RESPONSE,
+  AIRCRAFT_LIST_RESPONSE,
+  ALERT_RULE_BODY,
+  ALERT_RULE_DELETE_RESPONSE,
+  ALERT_RULE_LIST_RESPONSE,
+  ALERT_RULE_RESPONSE,
+  ALERT_RULE_TEST_RESPONSE
+} from "./schemas.js";
+import { createCache } from "../../lib/cache.js";
+import { resolveLocation } from "../../lib/config.js";
+import { LOCATION_QUERY } from "../../lib/schemas.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load JSON data using fs.readFileSync
+// Load JSON data using fs.readFileSync, enriched the same way as live data
 const fakeAircraftData = JSON.parse(
   fs.readFileSync(join(__dirname, "demo.json"), "utf8")
-);
+).map(enrichAircraft);
 
 const router = express.Router();
 
 const RADIUS = 25;
 const RADIUS_UNIT = "nm";
 
+// adsb.fi and adsb.lol reject searches wider than 250 nm
+const MAX_RADIUS_NM = 250;
+
+// The widest search allowed, in the given unit
+const getMaxRadius = (unit) => Math.floor(MAX_RADIUS_NM / UNIT_TO_NM[unit]);
+
 // Center coordinates for demo mode
 const DEMO_CENTER_LAT = 40.73061;
 const DEMO_CENTER_LON = -73.935242;
 
-// Store initial aircraft data and last request time for demo mode
-let demoAircraftData = null;
-let lastDemoRequestTime = null;
+// Sort orders accepted by the list endpoint
+const SORT_FIELDS = ["distance", "altitude", "speed"];
 
-// Function to calculate distance between two lat/lon points in nautical miles
-const calculateDistanceNM = (lat1, lon1, lat2, lon2) => {
-  const R = 3440.065; // Earth's radius in nautical miles
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-};
+// Upper bound for the altitude filters, in feet
+const MAX_ALTITUDE = 100000;
 
-// Function to update aircraft positions based on speed and heading
-const updateAircraftPositions = (aircraftData, elapsedTimeSeconds) => {
-  const updatedAircraft = aircraftData.map((aircraft) => {
-    if (!aircraft.speed || !aircraft.heading) {
-      return aircraft; // Skip if no speed or heading data
-    }
-
-    // Convert speed from knots to nautical miles per second
-    const speedNmPerSecond = aircraft.speed / 3600;
+// Upper bound for the limit query parameter
+const MAX_LIMIT = 1000;
 
-    // Calculate distance traveled in nautical miles
-    const distanceTraveled = speedNmPerSecond * elapsedTimeSeconds;
+// Upper bound for the trail query parameter
+const MAX_TRAIL_POINTS = 100;
 
-    // Convert heading to radians
-    const headingRadians = (aircraft.heading * Math.PI) / 180;
+// Position histories for live and demo traffic, kept apart so demo requests
+// never show up in live trails
+const liveHistory = createTrackHistory();
+const demoHistory = createTrackHistory();
 
-    // Calculate new position
-    // 1 nautical mile = 1/60 degree of latitude
-    const deltaLat = (distanceTraveled * Math.cos(headingRadians)) / 60;
-    const deltaLon =
-      (distanceTraveled * Math.sin(headingRadians)) /
-      (60 * Math.cos((aircraft.lat * Math.PI) / 180));
+// Store initial aircraft data and last request time for demo mode
+let demoAircraftData = null;
+let lastDemoRequestTime = null;
 
-    return {
-      ...aircraft,
-      lat: aircraft.lat + deltaLat,
-      lon: aircraft.lon + deltaLon
-    };
-  });
+// Function to update aircraft positions based on speed and heading
+const updateAircraftPositions = (aircraftData, elapsedTimeSeconds) => {
+  const updatedAircraft = aircraftData.map((aircraft) =>
+    projectAircraftPosition(aircraft, elapsedTimeSeconds)
+  );
 
   // Filter out aircraft that have moved outside the radius
   return updatedAircraft.filter((aircraft) => {
@@ -81,156 +88,291 @@ const updateAircraftPositions = (aircraftData, elapsedTimeSeconds) => {
   });
 };
 
-// Fetch Aircraft data from ADSB API
-const fetchAircraftData = async () => {
-  const FCC_STUDIO_LAT = process.env.FCC_STUDIO_LAT;
-  const FCC_STUDIO_LON = process.env.FCC_STUDIO_LON;
+// Advance the shared demo aircraft to the current time and return those
+// within the given radius of the demo center
+const getDemoAircraftData = (radiusNm) => {
+  const currentTime = new Date().getTime();
+
+  // Initialize demo data on first request or if too much time has passed
+  if (
+    !demoAircraftData ||
+    !lastDemoRequestTime ||
+    demoAircraftData.length === 0
+  ) {
+    demoAircraftData = JSON.parse(JSON.stringify(fakeAircraftData)); // Deep copy to avoid mutating original
+    lastDemoRequestTime = currentTime;
+  }
+
+  const elapsedTimeSeconds = (currentTime - lastDemoRequestTime) / 1000;
+
+  // Update aircraft positions based on elapsed time (but only if less than 5 minutes have passed)
+  if (elapsedTimeSeconds > 0 && elapsedTimeSeconds < 300) {
+    demoAircraftData = updateAircraftPositions(
+      demoAircraftData,
+      elapsedTimeSeconds
+    );
+    lastDemoRequestTime = currentTime;
+  } else if (elapsedTimeSeconds >= 300) {
+    // Reset demo data if more than 5 minutes have passed
+    demoAircraftData = JSON.parse(JSON.stringify(fakeAircraftData));
+    lastDemoRequestTime = currentTime;
+  }
+
+  // Demo aircraft always fly around the demo center, so only the
+  // requested radius applies
+  return demoAircraftData.filter(
+    (aircraft) =>
+      calculateDistanceNM(
+        DEMO_CENTER_LAT,
+        DEMO_CENTER_LON,
+        aircraft.lat,
+        aircraft.lon
+      ) <= radiusNm
+  );
+};
+
+// Check a distance against the widest search in the requested unit
+const checkDistance = (name, value, unit) => {
+  if (value > getMaxRadius(unit)) {
+    throw new Error(`${name} must be at most ${getMaxRadius(unit)} ${unit}`);
+  }
+};
+
+// The filter, sort and limit options for the list endpoint, checking what
+// the manifest's schemas can't
+const parseListParams = (query, unit) => {
+  const categories = query.category ? query.category.split(",") : undefined;
+  const unknownCategory = categories?.find((c) => !CATEGORIES.includes(c));
 
-  if (!FCC_STUDIO_LAT || !FCC_STUDIO_LON) {
-    throw new Error("FCC Studio coordinates are not configured");
+  if (unknownCategory) {
+    throw new Error(`category must be one of: ${CATEGORIES.join(", ")}`);
   }
 
-  const apiUrl = `https://opendata.adsb.fi/api/v2/lat/${FCC_STUDIO_LAT}/lon/${FCC_STUDIO_LON}/dist/${RADIUS}`;
+  const { minAlt, maxAlt, maxDistance } = query;
+
+  if (minAlt !== undefined && maxAlt !== undefined && minAlt > maxAlt) {
+    throw new Error("minAlt must not be greater than maxAlt");
+  }
 
-  const response = await fetch(apiUrl);
+  checkDistance("maxDistance", maxDistance, unit);
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch Aircraft data: ${response.status}`);
+  return {
+    categories,
+    minAlt,
+    maxAlt,
+    maxDistance,
+    sort: query.sort,
+    order: query.order,
+    limit: query.limit
+  };
+};
+
+// Filter, sort and trim aircraft that already carry observer geometry
+const applyListOptions = (aircraftData, options) => {
+  const { categories, minAlt, maxAlt, maxDistance, sort, order, limit } =
+    options;
+
+  const filtered = aircraftData.filter(
+    (aircraft) =>
+      (!categories || categories.includes(aircraft.category)) &&
+      (minAlt === undefined || aircraft.altitude >= minAlt) &&
+      (maxAlt === undefined || aircraft.altitude <= maxAlt) &&
+      (maxDistance === undefined || aircraft.distance <= maxDistance)
+  );
+
+  if (sort) {
+    // Aircraft missing the sort field go last regardless of order
+    const direction = order === "desc" ? -1 : 1;
+    filtered.sort((a, b) => {
+      if (typeof a[sort] !== "number") return 1;
+      if (typeof b[sort] !== "number") return -1;
+      return (a[sort] - b[sort]) * direction;
+    });
   }
 
-  const data = await response.json();
-
-  const parseCategory = (category) => {
-    if (!category) return "unknown";
-
-    const categoryMap = {
-      // Fixed-wing aircraft
-      A0: "unknown",
-      A1: "small-plane",
-      A2: "medium-plane",
-      A3: "large-plane",
-      A4: "jumbo-jet",
-      A5: "heavy-aircraft",
-      A6: "fighter-jet",
-
-      // Rotorcraft
-      A7: "helicopter",
-
-      // Other categories
-      B0: "unknown",
-      B1: "glider",
-      B2: "balloon",
-      B3: "parachute",
-      B4: "ultralight",
-      B5: "unknown",
-      B6: "drone",
-      B7: "rocket",
-
-      // Surface vehicles
-      C0: "ground-vehicle",
-      C1: "ground-vehicle",
-      C2: "ground-vehicle",
-      C3: "ground-vehicle"
-    };
-
-    return categoryMap[category] || "unknown";
+  return limit ? filtered.slice(0, limit) : filtered;
+};
+
+// Resolve the observer location and search radius for a request, falling
+// back to the studio and the default radius
+const parseObserverParams = ({
+  location,
+  lat,
+  lon,
+  radius,
+  unit = RADIUS_UNIT
+}) => {
+  if ((lat === undefined) !== (lon === undefined)) {
+    throw new Error("lat and lon must be provided together");
+  }
+
+  checkDistance("radius", radius, unit);
+
+  return {
+    ...resolveLocation({ location, lat, lon }),
+    radius:
+      radius === undefined
+        ? Math.round(
+            ((RADIUS * UNIT_TO_NM[RADIUS_UNIT]) / UNIT_TO_NM[unit]) * 100
+          ) / 100
+        : radius,
+    unit
   };
+};
+
+// Upstream responses are shared between everyone watching the same area:
+// fresh for 5 seconds, then served stale for up to 15 more while refreshed
+const aircraftCache = createCache({
+  name: "aircraft",
+  ttl: 5 * 1000,
+  staleTtl: 15 * 1000
+});
+
+const getAircraftCacheKey = (observer) =>
+  `${observer.lat},${observer.lon}:${observer.radius * UNIT_TO_NM[observer.unit]}`;
 
-  // Filter to only return required fields and exclude ground/negative altitude
-  const filteredData =
-    data.aircraft
-      ?.filter((aircraft) => {
-        const altitude = aircraft.alt_baro;
-        // Filter out "ground" or negative altitude values
-        return (
-          altitude !== "ground" &&
-          altitude !== null &&
-          altitude !== undefined &&
-          altitude > 0
-        );
-      })
-      .map((aircraft) => ({
-        id: aircraft.hex,
-        lat: aircraft.lat,
-        lon: aircraft.lon,
-        flight: aircraft.flight?.trim(),
-        type: aircraft.t,
-        category: parseCategory(aircraft.category),
-        altitude: aircraft.alt_baro,
-        speed: aircraft.gs,
-        heading: aircraft.track
-      })) || [];
-
-  return filteredData;
+// Fetch aircraft from the providers, recording their positions in the track
+// history
+const loadAircraftData = async (observer) => {
+  const result = await fetchAircraft({
+    lat: observer.lat,
+    lon: observer.lon,
+    radiusNm: observer.radius * UNIT_TO_NM[observer.unit]
+  });
+  liveHistory.record(result.aircraft);
+  return result;
 };
 
+// Aircraft around an observer as { value, hit, ageSeconds, stale, degraded },
+// where value is { provider, aircraft }
+const getAircraftData = (observer) =>
+  aircraftCache.get(getAircraftCacheKey(observer), () =>
+    loadAircraftData(observer)
+  );
+
+// Demo data is generated locally, so it never comes from the cache
+const DEMO_CACHE_STATUS = { hit: false, ageSeconds: 0, stale: false };
+
+// Attach the last `trail` recorded positions to each aircraft, if requested
+const withTrails = (aircraftData, history, trail) => {
+  if (!trail) {
+    return aircraftData;
+  }
+
+  return aircraftData.map((aircraft) => ({
+    ...aircraft,
+    trail: history.getTrail(aircraft.id, trail)
+  }));
+};
+
+// GET endpoint for AircraftOverhead/stream - pushes live aircraft positions
+// over Server-Sent Events, from one upstream poller shared per observer
+router.get("/stream", (req, res) => {
+  let observer;
+
+  try {
+    observer = parseObserverParams(req.validatedQuery);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
+  const radiusNm = observer.radius * UNIT_TO_NM[observer.unit];
+
+  const feed = req.demoMode
+    ? {
+        key: `demo:${radiusNm}`,
+        observer: { lat: DEMO_CENTER_LAT, lon: DEMO_CENTER_LON },
+        radiusNm,
+        unit: observer.unit,
+        fetchSnapshot: async () => {
+          const aircraftData = getDemoAircraftData(radiusNm);
+          demoHistory.record(aircraftData);
+          return aircraftData;
+        }
+      }
+    : {
+        key: `${observer.lat},${observer.lon}:${radiusNm}`,
+        observer,
+        radiusNm,
+        unit: observer.unit,
+        fetchSnapshot: async () =>
+          (await getAircraftData(observer)).value.aircraft
+      };
+
+  const unsubscribe = subscribe(feed, res);
+  req.on("close", unsubscribe);
+});
+
 // GET endpoint for AircraftOverhead - returns Aircraft data
 router.get("/", async (req, res) => {
+  let observer;
+  let listOptions;
+  let trail;
+
   try {
-    // Check if demo mode is enabled
-    if (req.demoMode === true) {
-      const currentTime = new Date().getTime();
-
-      // Initialize demo data on first request or if too much time has passed
-      if (
-        !demoAircraftData ||
-        !lastDemoRequestTime ||
-        demoAircraftData.length === 0
-      ) {
-        demoAircraftData = JSON.parse(JSON.stringify(fakeAircraftData)); // Deep copy to avoid mutating original
-        lastDemoRequestTime = currentTime;
-      }
+    observer = parseObserverParams(req.validatedQuery);
+    listOptions = parseListParams(req.validatedQuery, observer.unit);
+    ({ trail } = req.validatedQuery);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
 
-      const elapsedTimeSeconds = (currentTime - lastDemoRequestTime) / 1000;
-
-      // Update aircraft positions based on elapsed time (but only if less than 5 minutes have passed)
-      if (elapsedTimeSeconds > 0 && elapsedTimeSeconds < 300) {
-        demoAircraftData = updateAircraftPositions(
-          demoAircraftData,
-          elapsedTimeSeconds
-        );
-        lastDemoRequestTime = currentTime;
-      } else if (elapsedTimeSeconds >= 300) {
-        // Reset demo data if more than 5 minutes have passed
-        demoAircraftData = JSON.parse(JSON.stringify(fakeAircraftData));
-        lastDemoRequestTime = currentTime;
-      }
+  try {
+    let aircraftData;
+    let history;
+    let center;
+    let source;
+    let cache;
+    let degraded;
 
-      return res.json({
-        aircraft: demoAircraftData,
-        metadata: {
-          timestamp: new Date().toISOString(),
-          count: demoAircraftData.length,
-          location: {
-            lat: DEMO_CENTER_LAT,
-            lng: DEMO_CENTER_LON
-          },
-          radius: {
-            value: RADIUS,
-            unit: RADIUS_UNIT
-          }
-        }
-      });
+    // Check if demo mode is enabled
+    if (req.demoMode === true) {
+      aircraftData = getDemoAircraftData(
+        observer.radius * UNIT_TO_NM[observer.unit]
+      );
+      history = demoHistory;
+      center = { lat: DEMO_CENTER_LAT, lon: DEMO_CENTER_LON };
+      source = "demo";
+      cache = DEMO_CACHE_STATUS;
+      degraded = false;
+      demoHistory.record(aircraftData);
+    } else {
+      ({
+        value: { provider: source, aircraft: aircraftData },
+        degraded,
+        ...cache
+      } = await getAircraftData(observer));
+      history = liveHistory;
+      center = observer;
     }
 
-    const FCC_STUDIO_LAT = process.env.FCC_STUDIO_LAT;
-    const FCC_STUDIO_LON = process.env.FCC_STUDIO_LON;
-
-    const aircraftData = await fetchAircraftData();
+    const aircraft = applyListOptions(
+      aircraftData.map((a) => addObserverGeometry(a, center, observer.unit)),
+      listOptions
+    );
 
     res.json({
-      aircraft: aircraftData,
+      aircraft: withTrails(aircraft, history, trail),
       metadata: {
         timestamp: new Date().toISOString(),
-        count: aircraftData.length,
+        count: aircraft.length,
         location: {
-          lat: parseFloat(FCC_STUDIO_LAT),
-          lng: parseFloat(FCC_STUDIO_LON)
+          lat: center.lat,
+          lng: center.lon
         },
         radius: {
-          value: RADIUS,
-          unit: RADIUS_UNIT
-        }
+          value: observer.radius,
+          unit: observer.unit
+        },
+        source,
+        degraded,
+        cache
       }
     });
   } catch (error) {
@@ -241,4 +383,239 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Alert rules are evaluated against live traffic around the studio, with
+// distances in nautical miles
+startAlertMonitor(async (radiusNm) => {
+  const observer = parseObserverParams({
+    radius: Math.min(Math.max(RADIUS, radiusNm), MAX_RADIUS_NM),
+    unit: "nm"
+  });
+  const { value } = await getAircraftData(observer);
+  return value.aircraft.map((a) => addObserverGeometry(a, observer, "nm"));
+});
+
+// Endpoints for managing AircraftOverhead alert rules
+router.use("/alerts", alertsRouter);
+
+// GET endpoint for AircraftOverhead/:id - returns an aircraft's latest state
+// and its recorded trail
+router.get("/:id", (req, res) => {
+  const history = req.demoMode ? demoHistory : liveHistory;
+  const track = history.getTrack(req.params.id.toLowerCase());
+
+  if (!track) {
+    return res.status(404).json({
+      message: "Aircraft not found",
+      error: "The requested aircraft has not been seen recently"
+    });
+  }
+
+  res.json({
+    aircraft: track.aircraft,
+    trail: track.trail,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      lastSeen: track.lastSeen,
+      count: track.trail.length,
+      retention: {
+        value: getRetentionMinutes(),
+        unit: "minutes"
+      }
+    }
+  });
+});
+
+// Schemas have no way to tie a maximum to another parameter, so distances
+// are capped at the widest search in any unit, and checked against the
+// requested unit by the routes
+const MAX_DISTANCE = Math.max(...Object.keys(UNIT_TO_NM).map(getMaxRadius));
+const MAX_DISTANCE_DESCRIPTION = Object.keys(UNIT_TO_NM)
+  .map((unit) => `${getMaxRadius(unit)} ${unit}`)
+  .join(", ");
+
+// Observer location and search radius, accepted by the list and stream
+const OBSERVER_QUERY = {
+  location: LOCATION_QUERY,
+  lat: {
+    type: "number",
+    minimum: -90,
+    maximum: 90,
+    description: "Observer latitude, with lon (defaults to the studio)"
+  },
+  lon: {
+    type: "number",
+    minimum: -180,
+    maximum: 180,
+    description: "Observer longitude, with lat"
+  },
+  radius: {
+    type: "number",
+    minimum: 0,
+    exclusiveMinimum: true,
+    maximum: MAX_DISTANCE,
+    description: `Search radius in unit (default ${RADIUS} ${RADIUS_UNIT}, at most ${MAX_DISTANCE_DESCRIPTION})`
+  },
+  unit: {
+    type: "string",
+    enum: Object.keys(UNIT_TO_NM),
+    default: RADIUS_UNIT,
+    description: "Unit for radius, maxDistance and distances"
+  }
+};
+
+// Description of the cartridge for discovery and the public catalog
+export const manifest = {
+  name: "AircraftOverhead",
+  description:
+    "Aircraft flying near the observer, from ADS-B via adsb.fi, adsb.lol or a local receiver",
+  demo: true,
+  refreshSeconds: 5,
+  routes: [
+    {
+      method: "GET",
+      path: "/",
+      summary: "Aircraft within the search radius",
+      query: {
+        ...OBSERVER_QUERY,
+        category: {
+          type: "string",
+          description: `Comma-separated categories: ${CATEGORIES.join(", ")}`
+        },
+        minAlt: {
+          type: "number",
+          minimum: 0,
+          maximum: MAX_ALTITUDE,
+          description: "Minimum altitude, in feet"
+        },
+        maxAlt: {
+          type: "number",
+          minimum: 0,
+          maximum: MAX_ALTITUDE,
+          description: "Maximum altitude, in feet"
+        },
+        maxDistance: {
+          type: "number",
+          minimum: 0,
+          maximum: MAX_DISTANCE,
+          description: `Maximum distance from the observer in unit, at most ${MAX_DISTANCE_DESCRIPTION}`
+        },
+        sort: { type: "string", enum: SORT_FIELDS },
+        order: { type: "string", enum: ["asc", "desc"], default: "asc" },
+        limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT },
+        trail: {
+          type: "integer",
+          minimum: 0,
+          maximum: MAX_TRAIL_POINTS,
+          description: "Recent positions to include for each aircraft"
+        }
+      },
+      response: { schema: AIRCRAFT_LIST_RESPONSE }
+    },
+    {
+      method: "GET",
+      path: "/stream",
+      summary: "Live aircraft positions as Server-Sent Events",
+      query: OBSERVER_QUERY,
+      response: {
+        contentType: "text/event-stream",
+        description:
+          "positions events every second, plus enter and leave as aircraft come and go"
+      }
+    },
+    {
+      method: "GET",
+      path: "/:id",
+      summary: "An aircraft's latest state and recorded trail",
+      response: { schema: AIRCRAFT_DETAIL_RESPONSE }
+    },
+    // Alert rules are live-only and make the server send requests, so they
+    // need an admin key
+    {
+      method: "GET",
+      path: "/alerts/rules",
+      summary: "List alert rules",
+      demo: false,
+      scope: "admin",
+      response: { schema: ALERT_RULE_LIST_RESPONSE }
+    },
+    {
+      method: "POST",
+      path: "/alerts/rules",
+      summary: "Create an alert rule",
+      demo: false,
+      scope: "admin",
+      body: ALERT_RULE_BODY,
+      response: { status: 201, schema: ALERT_RULE_RESPONSE }
+    },
+    {
+      method: "GET",
+      path: "/alerts/rules/:id",
+      summary: "An alert rule",
+      demo: false,
+      scope: "admin",
+      response: { schema: ALERT_RULE_RESPONSE }
+    },
+    {
+      method: "PUT",
+      path: "/alerts/rules/:id",
+      summary: "Replace an alert rule",
+      demo: false,
+      scope: "admin",
+      body: ALERT_RULE_BODY,
+      response: { schema: ALERT_RULE_RESPONSE }
+    },
+    {
+      method: "DELETE",
+      path: "/alerts/rules/:id",
+      summary: "Delete an alert rule",
+      demo: false,
+      scope: "admin",
+      response: { schema: ALERT_RULE_DELETE_RESPONSE }
+    },
+    {
+      method: "POST",
+      path: "/alerts/rules/:id/test",
+      summary: "Send a test webhook for an alert rule",
+      demo: false,
+      scope: "admin",
+      response: { schema: ALERT_RULE_TEST_RESPONSE }
+    }
+  ]
+};
+
+// Cache controls for the admin API. Warming and refreshing load traffic
+// around the studio within the default radius.
+export const admin = {
+  actions: {
+    clear: () => {
+      aircraftCache.clear();
+      return { cleared: ["aircraft"] };
+    },
+    warm: async () => {
+      const observer = parseObserverParams({});
+      const { value } = await getAircraftData(observer);
+      return {
+        warmed: [getAircraftCacheKey(observer)],
+        count: value.aircraft.length
+      };
+    },
+    refresh: () => {
+      const observer = parseObserverParams({});
+      aircraftCache.refresh(getAircraftCacheKey(observer), () =>
+        loadAircraftData(observer)
+      );
+      return { refreshing: [getAircraftCacheKey(observer)] };
+    },
+    inspect: () => ({ caches: [aircraftCache.inspect()] })
+  }
+};
+
+// Health details for the status endpoint
+export const status = {
+  getDetails: () => ({
+    upstreams: providers.map((provider) => provider.getState()),
+    caches: [aircraftCache.inspect()]
+  })
+};
+
 export default router;
@@ -0,0 +1,187 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { calculateDistanceNM } from "./geo.js";
+import { enrichAircraft } from "./enrichment.js";
+import { config } from "../../lib/config.js";
+import { createUpstream } from "../../lib/upstream.js";
+
+// ADS-B emitter categories mapped to our category names
+const CATEGORY_MAP = {
+  // Fixed-wing aircraft
+  A0: "unknown",
+  A1: "small-plane",
+  A2: "medium-plane",
+  A3: "large-plane",
+  A4: "jumbo-jet",
+  A5: "heavy-aircraft",
+  A6: "fighter-jet",
+
+  // Rotorcraft
+  A7: "helicopter",
+
+  // Other categories
+  B0: "unknown",
+  B1: "glider",
+  B2: "balloon",
+  B3: "parachute",
+  B4: "ultralight",
+  B5: "unknown",
+  B6: "drone",
+  B7: "rocket",
+
+  // Surface vehicles
+  C0: "ground-vehicle",
+  C1: "ground-vehicle",
+  C2: "ground-vehicle",
+  C3: "ground-vehicle"
+};
+
+export const CATEGORIES = [...new Set(Object.values(CATEGORY_MAP))];
+
+const parseCategory = (category) => {
+  if (!category) return "unknown";
+  return CATEGORY_MAP[category] || "unknown";
+};
+
+// A receiver's aircraft.json lists everything it has heard recently, so
+// drop positions older than this many seconds
+const MAX_POSITION_AGE = 60;
+
+// Every provider speaks readsb's aircraft JSON, so they share one mapping
+// into our aircraft objects, leaving out those on (or below) the ground
+const normalizeAircraft = (aircraft = []) =>
+  aircraft
+    .filter((aircraft) => {
+      const altitude = aircraft.alt_baro;
+      // Filter out "ground" or negative altitude values
+      return (
+        altitude !== "ground" &&
+        altitude !== null &&
+        altitude !== undefined &&
+        altitude > 0
+      );
+    })
+    .map((aircraft) =>
+      enrichAircraft({
+        id: aircraft.hex,
+        lat: aircraft.lat,
+        lon: aircraft.lon,
+        flight: aircraft.flight?.trim(),
+        type: aircraft.t,
+        category: parseCategory(aircraft.category),
+        altitude: aircraft.alt_baro,
+        speed: aircraft.gs,
+        heading: aircraft.track
+      })
+    );
+
+// adsb.fi answers quickly or not at all, so give up early and retry once
+const createAdsbFi = () => {
+  const upstream = createUpstream({
+    name: "adsb.fi",
+    timeout: 8000,
+    retries: 1
+  });
+
+  return {
+    name: "adsb.fi",
+    fetchAircraft: async ({ lat, lon, radiusNm }) => {
+      const data = await upstream.fetchJson(
+        `https://opendata.adsb.fi/api/v2/lat/${lat}/lon/${lon}/dist/${radiusNm}`
+      );
+      return normalizeAircraft(data.aircraft);
+    },
+    getState: upstream.getState
+  };
+};
+
+// adsb.lol's API mirrors adsb.fi's, at a different path
+const createAdsbLol = () => {
+  const upstream = createUpstream({
+    name: "adsb.lol",
+    timeout: 8000,
+    retries: 1
+  });
+
+  return {
+    name: "adsb.lol",
+    fetchAircraft: async ({ lat, lon, radiusNm }) => {
+      const data = await upstream.fetchJson(
+        `https://api.adsb.lol/v2/point/${lat}/${lon}/${radiusNm}`
+      );
+      return normalizeAircraft(data.ac);
+    },
+    getState: upstream.getState
+  };
+};
+
+// A local dump1090, readsb or tar1090 receiver, read from its aircraft.json
+// as a file path or a URL on the LAN. It returns everything in range of the
+// antenna, so the search radius is applied here. Files are read as file:
+// URLs, so they are recorded and replayed like any other upstream.
+const createLocalReceiver = () => {
+  const source = /^https?:\/\//.test(config.aircraftReceiver)
+    ? config.aircraftReceiver
+    : pathToFileURL(path.resolve(config.aircraftReceiver)).href;
+  const client = createUpstream({
+    name: "local receiver",
+    timeout: 3000,
+    retries: 1
+  });
+
+  return {
+    name: "local",
+    fetchAircraft: async ({ lat, lon, radiusNm }) => {
+      const data = await client.fetchJson(source);
+
+      return normalizeAircraft(
+        data.aircraft?.filter(
+          (aircraft) =>
+            Number.isFinite(aircraft.lat) &&
+            Number.isFinite(aircraft.lon) &&
+            !(aircraft.seen_pos > MAX_POSITION_AGE) &&
+            calculateDistanceNM(lat, lon, aircraft.lat, aircraft.lon) <=
+              radiusNm
+        )
+      );
+    },
+    getState: client.getState
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  "adsb.fi": createAdsbFi,
+  "adsb.lol": createAdsbLol,
+  local: createLocalReceiver
+};
+
+// The configured providers, in the order they are tried
+export const providers = config.aircraftProviders.map((name) =>
+  PROVIDER_FACTORIES[name]()
+);
+
+// Fetch aircraft within radiusNm of a point from the first provider that
+// answers, as { provider, aircraft }. Only if every provider fails is the
+// last error thrown.
+export const fetchAircraft = async (search) => {
+  let lastError;
+
+  for (const provider of providers) {
+    try {
+      return {
+        provider: provider.name,
+        aircraft: await provider.fetchAircraft(search)
+      };
+    } catch (error) {
+      lastError = error;
+
+      if (provider !== providers[providers.length - 1]) {
+        console.error(
+          `Aircraft provider ${provider.name} failed, falling back: ${error.message}`
+        );
+      }
+    }
+  }
+
+  throw lastError;
+};
@@ -0,0 +1,186 @@
+import {
+  CACHE_STATUS_SCHEMA,
+  DEGRADED_SCHEMA,
+  LOCATION_SCHEMA,
+  TIMESTAMP_SCHEMA
+} from "../../lib/schemas.js";
+
+// Response and request body schemas for the manifest
+
+const TRAIL_SCHEMA = {
+  type: "array",
+  description: "Recorded positions, oldest first",
+  items: {
+    type: "object",
+    properties: {
+      lat: { type: "number" },
+      lon: { type: "number" },
+      altitude: { type: "number", nullable: true },
+      timestamp: TIMESTAMP_SCHEMA
+    }
+  }
+};
+
+const AIRCRAFT_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string", description: "ICAO 24-bit address, in hex" },
+    lat: { type: "number" },
+    lon: { type: "number" },
+    flight: { type: "string", nullable: true, description: "Callsign" },
+    type: { type: "string", nullable: true, description: "ICAO type code" },
+    category: { type: "string" },
+    altitude: { type: "number", nullable: true, description: "Feet" },
+    speed: { type: "number", nullable: true, description: "Knots" },
+    heading: { type: "number", nullable: true, description: "Degrees" },
+    aircraftType: {
+      type: "object",
+      nullable: true,
+      properties: {
+        manufacturer: { type: "string" },
+        model: { type: "string" },
+        engines: { type: "integer" },
+        engineType: { type: "string" }
+      }
+    },
+    operator: {
+      type: "object",
+      nullable: true,
+      properties: {
+        icao: { type: "string" },
+        name: { type: "string" },
+        country: { type: "string" }
+      }
+    },
+    registrationCountry: { type: "string", nullable: true },
+    description: { type: "string", nullable: true },
+    distance: { type: "number", description: "From the observer, in unit" },
+    bearing: { type: "number", description: "From the observer, in degrees" },
+    elevationAngle: {
+      type: "number",
+      description: "Degrees above the observer's horizon"
+    },
+    trail: { ...TRAIL_SCHEMA, description: "Only with trail=" }
+  }
+};
+
+export const AIRCRAFT_LIST_RESPONSE = {
+  type: "object",
+  properties: {
+    aircraft: { type: "array", items: AIRCRAFT_SCHEMA },
+    metadata: {
+      type: "object",
+      properties: {
+        timestamp: TIMESTAMP_SCHEMA,
+        count: { type: "integer" },
+        location: LOCATION_SCHEMA,
+        radius: {
+          type: "object",
+          properties: {
+            value: { type: "number" },
+            unit: { type: "string" }
+          }
+        },
+        source: {
+          type: "string",
+          enum: ["demo", "adsb.fi", "adsb.lol", "local"],
+          description: "The provider that answered"
+        },
+        degraded: DEGRADED_SCHEMA,
+        cache: CACHE_STATUS_SCHEMA
+      }
+    }
+  }
+};
+
+export const AIRCRAFT_DETAIL_RESPONSE = {
+  type: "object",
+  properties: {
+    aircraft: AIRCRAFT_SCHEMA,
+    trail: TRAIL_SCHEMA,
+    metadata: {
+      type: "object",
+      properties: {
+        timestamp: TIMESTAMP_SCHEMA,
+        lastSeen: TIMESTAMP_SCHEMA,
+        count: { type: "integer" },
+        retention: {
+          type: "object",
+          properties: {
+            value: { type: "number" },
+            unit: { type: "string" }
+          }
+        }
+      }
+    }
+  }
+};
+
+// An alert rule as sent by clients; id is generated when left out
+export const ALERT_RULE_BODY = {
+  type: "object",
+  required: ["webhooks"],
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    enabled: { type: "boolean", default: true },
+    match: {
+      type: "object",
+      properties: {
+        categories: { type: "array", items: { type: "string" } },
+        flights: { type: "array", items: { type: "string" } },
+        minAltitude: { type: "number", description: "Feet" },
+        maxAltitude: { type: "number", description: "Feet" },
+        maxDistance: {
+          type: "number",
+          description: "Nautical miles from the studio"
+        }
+      }
+    },
+    webhooks: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", format: "uri" }
+    },
+    cooldownMinutes: { type: "number", default: 30 }
+  }
+};
+
+export const ALERT_RULE_RESPONSE = {
+  ...ALERT_RULE_BODY,
+  required: ["id", "name", "enabled", "match", "webhooks", "cooldownMinutes"]
+};
+
+export const ALERT_RULE_LIST_RESPONSE = {
+  type: "object",
+  properties: {
+    rules: { type: "array", items: ALERT_RULE_RESPONSE }
+  }
+};
+
+export const ALERT_RULE_DELETE_RESPONSE = {
+  type: "object",
+  properties: {
+    message: { type: "string" },
+    status: { type: "string" }
+  }
+};
+
+export const ALERT_RULE_TEST_RESPONSE = {
+  type: "object",
+  properties: {
+    deliveries: {
+      type: "array",
+      description: "The outcome of delivering to each webhook",
+      items: {
+        type: "object",
+        properties: {
+          url: { type: "string" },
+          delivered: { type: "boolean" },
+          status: { type: "integer", description: "When delivered" },
+          error: { type: "string", description: "When not delivered" }
+        }
+      }
+    }
+  }
+};
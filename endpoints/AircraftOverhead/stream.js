@@ -0,0 +1,157 @@
+import {
+  addObserverGeometry,
+  calculateDistanceNM,
+  projectAircraftPosition
+} from "./geo.js";
+
+// How often the shared feed refreshes from upstream, and how often it pushes
+// interpolated positions to subscribers in between
+const POLL_INTERVAL = 10 * 1000; // 10 seconds in milliseconds
+const TICK_INTERVAL = 1000; // 1 second in milliseconds
+
+// Comment lines keep proxies from dropping streams that go quiet, such as
+// while upstream is failing
+const HEARTBEAT_INTERVAL = 15 * 1000; // 15 seconds in milliseconds
+
+// Active feeds keyed by observer and unit, each shared by all of its
+// subscribers
+const feeds = new Map();
+
+// Serialize a single Server-Sent Event
+const formatEvent = (event, data) =>
+  `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Write an event to every subscriber of a feed
+const broadcast = (feed, event, data) => {
+  const message = formatEvent(event, data);
+  feed.subscribers.forEach((res) => res.write(message));
+};
+
+// Build the payload for a positions event
+const formatPositions = (feed, aircraft) => ({
+  aircraft,
+  metadata: {
+    timestamp: new Date().toISOString(),
+    count: aircraft.length,
+    snapshotAgeSeconds: (Date.now() - feed.snapshotTime) / 1000
+  }
+});
+
+// Dead-reckon the last upstream snapshot to now and keep only the aircraft
+// inside the observer's radius
+const interpolateFeed = (feed) => {
+  const elapsedTimeSeconds = (Date.now() - feed.snapshotTime) / 1000;
+
+  return feed.snapshot
+    .map((aircraft) => projectAircraftPosition(aircraft, elapsedTimeSeconds))
+    .filter(
+      (aircraft) =>
+        calculateDistanceNM(
+          feed.observer.lat,
+          feed.observer.lon,
+          aircraft.lat,
+          aircraft.lon
+        ) <= feed.radiusNm
+    )
+    .map((aircraft) => addObserverGeometry(aircraft, feed.observer, feed.unit));
+};
+
+// Push the current positions, announcing aircraft that crossed the radius
+const tickFeed = (feed) => {
+  if (!feed.snapshot) {
+    return;
+  }
+
+  const aircraft = interpolateFeed(feed);
+  const insideIds = new Set(aircraft.map((a) => a.id));
+
+  aircraft
+    .filter((a) => !feed.insideIds.has(a.id))
+    .forEach((a) => broadcast(feed, "enter", a));
+
+  feed.insideIds.forEach((id) => {
+    if (!insideIds.has(id)) {
+      broadcast(feed, "leave", { id });
+    }
+  });
+
+  feed.insideIds = insideIds;
+
+  broadcast(feed, "positions", formatPositions(feed, aircraft));
+};
+
+// Refresh the feed's snapshot from upstream
+const pollFeed = async (feed) => {
+  try {
+    feed.snapshot = await feed.fetchSnapshot();
+    feed.snapshotTime = Date.now();
+    tickFeed(feed);
+  } catch (error) {
+    console.error("Error refreshing aircraft stream:", error);
+    broadcast(feed, "error", {
+      message: "Error fetching Aircraft data",
+      error: error.message
+    });
+  }
+};
+
+const stopFeed = (key) => {
+  const feed = feeds.get(key);
+  clearInterval(feed.pollTimer);
+  clearInterval(feed.tickTimer);
+  clearInterval(feed.heartbeatTimer);
+  feeds.delete(key);
+};
+
+// Attach an SSE response to the feed for an observer, starting the feed's
+// timers if it is the first subscriber. Distances are computed once per
+// feed, so subscribers only share a feed if they asked for the same unit.
+export const subscribe = (
+  { key: observerKey, observer, radiusNm, unit, fetchSnapshot },
+  res
+) => {
+  const key = `${observerKey}:${unit}`;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  let feed = feeds.get(key);
+
+  if (!feed) {
+    feed = {
+      observer,
+      radiusNm,
+      unit,
+      fetchSnapshot,
+      subscribers: new Set(),
+      snapshot: null,
+      snapshotTime: null,
+      insideIds: new Set()
+    };
+    feed.pollTimer = setInterval(() => pollFeed(feed), POLL_INTERVAL);
+    feed.tickTimer = setInterval(() => tickFeed(feed), TICK_INTERVAL);
+    feed.heartbeatTimer = setInterval(
+      () => feed.subscribers.forEach((res) => res.write(": heartbeat\n\n")),
+      HEARTBEAT_INTERVAL
+    );
+    feeds.set(key, feed);
+    pollFeed(feed);
+  } else if (feed.snapshot) {
+    // Late subscribers start from the aircraft already inside the radius
+    res.write(
+      formatEvent("positions", formatPositions(feed, interpolateFeed(feed)))
+    );
+  }
+
+  feed.subscribers.add(res);
+
+  return () => {
+    feed.subscribers.delete(res);
+
+    if (feed.subscribers.size === 0) {
+      stopFeed(key);
+    }
+  };
+};
@@ -0,0 +1,60 @@
+// Name patterns for known constellations and satellite families, checked in
+// order so more specific patterns win
+const CONSTELLATIONS = [
+  { pattern: /^STARLINK/, constellation: "starlink", kind: "communications" },
+  { pattern: /^ONEWEB/, constellation: "oneweb", kind: "communications" },
+  { pattern: /^IRIDIUM/, constellation: "iridium", kind: "communications" },
+  {
+    pattern: /^GLOBALSTAR/,
+    constellation: "globalstar",
+    kind: "communications"
+  },
+  { pattern: /^ORBCOMM/, constellation: "orbcomm", kind: "communications" },
+  { pattern: /^KUIPER/, constellation: "kuiper", kind: "communications" },
+  { pattern: /^MOLNIYA/, constellation: "molniya", kind: "communications" },
+  { pattern: /^(GPS|NAVSTAR)\b/, constellation: "gps", kind: "navigation" },
+  { pattern: /^(GSAT0|GALILEO)/, constellation: "galileo", kind: "navigation" },
+  { pattern: /^BEIDOU/, constellation: "beidou", kind: "navigation" },
+  {
+    pattern: /^COSMOS 2\d{3} \(7\d\d[A-Z]?\)/,
+    constellation: "glonass",
+    kind: "navigation"
+  },
+  {
+    pattern: /^(NOAA|GOES|METOP|METEOR|FENGYUN|HIMAWARI|DMSP|SUOMI NPP|JPSS)/,
+    constellation: "weather",
+    kind: "weather"
+  },
+  { pattern: /^(ISS|CSS|TIANGONG)\b/, constellation: null, kind: "station" },
+  { pattern: /^(USA|COSMOS|NROL)\b/, constellation: null, kind: "military" }
+];
+
+// Classify a satellite from its name and international designator.
+// Debris and spent rocket bodies are recognised first, since fragments
+// carry the name of their parent (e.g. "COSMOS 1408 DEB").
+export const classifySatellite = (name, intDesignator) => {
+  const upperName = (name || "").toUpperCase();
+
+  if (/\bDEB\b/.test(upperName)) {
+    return { constellation: null, kind: "debris" };
+  }
+
+  if (/\bR\/B\b/.test(upperName)) {
+    return { constellation: null, kind: "rocket-body" };
+  }
+
+  const match = CONSTELLATIONS.find(({ pattern }) => pattern.test(upperName));
+
+  if (match) {
+    return { constellation: match.constellation, kind: match.kind };
+  }
+
+  // The primary payload of a launch is piece "A"; later pieces with no
+  // recognisable name are usually other payloads or debris
+  const piece = intDesignator?.match(/^\d{4}-\d{3}([A-Z]+)$/)?.[1];
+
+  return {
+    constellation: null,
+    kind: piece && piece.length > 1 ? "unknown" : "payload"
+  };
+};
@@ -0,0 +1,58 @@
+// Download TLE sets from CelesTrak into the local TLE directory. Run with
+// `npm run import-tle`; the server picks up the new files without a restart.
+import fs from "fs";
+import path from "path";
+import { TLE_DIR, parseTleText } from "./tle.js";
+import { config } from "../../lib/config.js";
+import { createUpstream } from "../../lib/upstream.js";
+
+// CelesTrak GP groups to import, overridable via TLE_GROUPS (comma-separated)
+const DEFAULT_GROUPS = [
+  "stations",
+  "visual",
+  "weather",
+  "gps-ops",
+  "starlink",
+  "oneweb"
+];
+
+const groups = config.tleGroups || DEFAULT_GROUPS;
+
+// Large groups like Starlink take a while to download
+const celestrak = createUpstream({ name: "CelesTrak", timeout: 60000 });
+
+const importGroup = async (group) => {
+  const url = `https://celestrak.org/NORAD/elements/gp.php?GROUP=${encodeURIComponent(group)}&FORMAT=tle`;
+
+  const text = await celestrak.fetchText(url);
+  const count = parseTleText(text).length;
+
+  // Keep the previous file if the response doesn't contain any usable TLEs
+  if (count === 0) {
+    throw new Error("No valid TLEs in response");
+  }
+
+  // Write to a temp file first so the server never reads a partial file
+  const finalPath = path.join(TLE_DIR, `${group}.tle`);
+  const tempPath = `${finalPath}.tmp`;
+  fs.writeFileSync(tempPath, text);
+  fs.renameSync(tempPath, finalPath);
+
+  return count;
+};
+
+fs.mkdirSync(TLE_DIR, { recursive: true });
+
+let failures = 0;
+
+for (const group of groups) {
+  try {
+    const count = await importGroup(group);
+    console.log(`Imported ${count} satellites from group ${group}`);
+  } catch (error) {
+    failures++;
+    console.error(`Failed to import group ${group}:`, error.message);
+  }
+}
+
+process.exitCode = failures === groups.length ? 1 : 0;
@@ -1,14 +1,23 @@
 import express from "express";
+import fs from "fs";
+import path from "path";
+import { getSatellites, listTleFiles } from "./tle.js";
+import {
+  getGeodeticPosition,
+  getLookAnglesToPosition,
+  toObserverGeodetic
+} from "./propagate.js";
+import { classifySatellite } from "./classify.js";
+import { predictPasses } from "./passes.js";
+import { PASS_LIST_RESPONSE, SATELLITE_LIST_RESPONSE } from "./schemas.js";
+import { createCache } from "../../lib/cache.js";
+import { config, resolveLocation } from "../../lib/config.js";
+import { LOCATION_QUERY } from "../../lib/schemas.js";
 
 const router = express.Router();
 
-// Demo data for when in demo mode
+// Demo data for when in demo mode, captured from space-api.danmade.app
 const demoSatelliteData = {
-  info: {
-    category: "ANY",
-    transactionscount: 34,
-    satcount: 32
-  },
   above: [
     {
       satid: 13890,
@@ -58,77 +67,208 @@ const demoSatelliteData = {
   ]
 };
 
+// Observer location for demo mode, near the demo satellites
+const DEMO_LAT = 48.8566;
+const DEMO_LON = 2.3522;
+
+// Limits for pass prediction
+const MAX_PASS_DAYS = 10;
+const DEFAULT_PASS_DAYS = 1;
+
 // Constants for satellite search radius
 const SATELLITE_RADIUS_KM = 5000; // kilometers for metadata
 const RADIUS_UNIT = "km";
 
-// Convert kilometers to degrees (approximately 111 km per degree)
-const kmToDegrees = (km) => km / 111;
-const SATELLITE_RADIUS_DEGREES = kmToDegrees(SATELLITE_RADIUS_KM);
+// Propagating every satellite is expensive, so positions are shared between
+// requests for the same observer: fresh for 10 seconds, then served stale
+// for up to 20 more while recomputed
+const satelliteCache = createCache({
+  name: "satellites",
+  ttl: 10 * 1000,
+  staleTtl: 20 * 1000
+});
 
-// Fetch Satellite data from space-api.danmade.app
-const fetchSatelliteData = async () => {
-  const FCC_STUDIO_LAT = process.env.FCC_STUDIO_LAT;
-  const FCC_STUDIO_LON = process.env.FCC_STUDIO_LON;
+// Pass predictions change slowly, and are kept on disk across restarts
+const passCache = createCache({
+  name: "satellite-passes",
+  ttl: 10 * 60 * 1000,
+  disk: true
+});
 
-  if (!FCC_STUDIO_LAT || !FCC_STUDIO_LON) {
-    throw new Error("FCC Studio coordinates are not configured");
-  }
+// Demo data is a fixed capture, so it never comes from the cache
+const DEMO_CACHE_STATUS = { hit: false, ageSeconds: 0, stale: false };
 
-  const apiUrl = `https://space-api.danmade.app/satellites-above?lat=${FCC_STUDIO_LAT}&lon=${FCC_STUDIO_LON}&radius=${SATELLITE_RADIUS_DEGREES}`;
+// Great-circle distance between two lat/lon points in kilometers
+const calculateDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
 
-  const response = await fetch(apiUrl);
+// Compute satellite positions locally from the TLE files with SGP4, keeping
+// those above the observer's horizon. The ground distance is only a cheap
+// check to skip the look angles for satellites on the far side of Earth.
+const fetchSatelliteData = async (observer) => {
+  const satellites = getSatellites();
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch Satellite data: ${response.status}`);
+  if (satellites.length === 0) {
+    throw new Error(
+      "No TLE data is available. Run `npm run import-tle` to download it"
+    );
   }
 
-  const data = await response.json();
-  return data;
+  const now = new Date();
+  const observerGeodetic = toObserverGeodetic(observer);
+  const above = [];
+
+  satellites.forEach((sat) => {
+    const position = getGeodeticPosition(sat.satrec, now);
+
+    if (
+      !position ||
+      calculateDistanceKm(
+        observer.lat,
+        observer.lon,
+        position.lat,
+        position.lon
+      ) > SATELLITE_RADIUS_KM ||
+      getLookAnglesToPosition(position, observerGeodetic).elevation < 0
+    ) {
+      return;
+    }
+
+    above.push({
+      id: sat.satid,
+      name: sat.name,
+      intDesignator: sat.intDesignator,
+      launchDate: null, // Not part of the TLE format
+      ...position
+    });
+  });
+
+  return above;
 };
 
+// Map the demo capture into the same shape as locally propagated satellites
+const getDemoSatelliteData = () =>
+  demoSatelliteData.above.map((sat) => ({
+    id: sat.satid,
+    name: sat.satname,
+    intDesignator: sat.intDesignator,
+    launchDate: sat.launchDate,
+    lat: sat.satlat,
+    lon: sat.satlng,
+    altitude: sat.satalt
+  }));
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Build our response schema for a satellite, adding its position in the
+// observer's sky and its constellation
+const normalizeSatellite = (sat, observerGeodetic) => {
+  const lookAngles = getLookAnglesToPosition(sat, observerGeodetic);
+
+  return {
+    id: sat.id,
+    name: sat.name,
+    intDesignator: sat.intDesignator,
+    launchDate: sat.launchDate,
+    ...classifySatellite(sat.name, sat.intDesignator),
+    lat: round(sat.lat, 4),
+    lon: round(sat.lon, 4),
+    altitude: round(sat.altitude, 1),
+    azimuth: round(lookAngles.azimuth, 1),
+    elevation: round(lookAngles.elevation, 1),
+    range: round(lookAngles.range, 1)
+  };
+};
+
+// Parse the observer and the constellation, kind and minimum elevation
+// filters for the list endpoint
+const parseListParams = (query) => ({
+  observer: resolveLocation({ location: query.location }),
+  constellations: query.constellation
+    ? query.constellation.toLowerCase().split(",")
+    : undefined,
+  kinds: query.kind ? query.kind.toLowerCase().split(",") : undefined,
+  minElevation: query.minElevation
+});
+
 // GET endpoint for SatellitesOverhead - returns satellite data
 router.get("/", async (req, res) => {
+  let filters;
+
+  try {
+    filters = parseListParams(req.validatedQuery);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
   try {
+    let observer;
+    let satelliteData;
+    let cache;
+    let degraded;
+
     // Check if demo mode is enabled
     if (req.demoMode === true) {
-      return res.json({
-        satellites: demoSatelliteData,
-        metadata: {
-          timestamp: new Date().toISOString(),
-          count: demoSatelliteData.info.satcount,
-          location: {
-            lat: "DEMO_LAT",
-            lng: "DEMO_LON"
-          },
-          radius: {
-            value: SATELLITE_RADIUS_KM,
-            unit: RADIUS_UNIT
-          },
-          source: "demo"
-        }
-      });
+      observer = { lat: DEMO_LAT, lon: DEMO_LON };
+      satelliteData = getDemoSatelliteData();
+      cache = DEMO_CACHE_STATUS;
+      degraded = false;
+    } else {
+      observer = filters.observer;
+      ({
+        value: satelliteData,
+        degraded,
+        ...cache
+      } = await satelliteCache.get(`${observer.lat},${observer.lon}`, () =>
+        fetchSatelliteData(observer)
+      ));
     }
 
-    const FCC_STUDIO_LAT = process.env.FCC_STUDIO_LAT;
-    const FCC_STUDIO_LON = process.env.FCC_STUDIO_LON;
-
-    const satelliteData = await fetchSatelliteData();
+    const observerGeodetic = toObserverGeodetic(observer);
+    const satellites = satelliteData
+      .map((sat) => normalizeSatellite(sat, observerGeodetic))
+      .filter(
+        (sat) =>
+          (!filters.constellations ||
+            filters.constellations.includes(sat.constellation)) &&
+          (!filters.kinds || filters.kinds.includes(sat.kind)) &&
+          sat.elevation >= filters.minElevation
+      )
+      .sort((a, b) => b.elevation - a.elevation);
 
     res.json({
-      satellites: satelliteData,
+      satellites,
       metadata: {
         timestamp: new Date().toISOString(),
-        count: satelliteData.info.satcount,
+        count: satellites.length,
         location: {
-          lat: FCC_STUDIO_LAT,
-          lng: FCC_STUDIO_LON
+          lat: observer.lat,
+          lng: observer.lon
         },
         radius: {
           value: SATELLITE_RADIUS_KM,
           unit: RADIUS_UNIT
         },
-        source: "space-api.danmade.app"
+        source: req.demoMode === true ? "demo" : "local-sgp4",
+        degraded,
+        cache
       }
     });
   } catch (error) {
@@ -140,4 +280,264 @@ router.get("/", async (req, res) => {
   }
 });
 
+// The query parameters for pass prediction, checking what the manifest's
+// schemas can't
+const parsePassParams = (query) => {
+  const { location, lat, lon } = query;
+
+  if ((lat === undefined) !== (lon === undefined)) {
+    throw new Error("lat and lon must be provided together");
+  }
+
+  return {
+    satid: query.satid,
+    observer: resolveLocation({ location, lat, lon }),
+    days: query.days,
+    minElevation: query.minElevation,
+    visibleOnly: query.visible
+  };
+};
+
+// GET endpoint for SatellitesOverhead/passes - predicts when a satellite
+// will rise, culminate and set for the observer
+router.get("/passes", async (req, res) => {
+  let params;
+
+  try {
+    params = parsePassParams(req.validatedQuery);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
+  try {
+    let observer;
+
+    if (req.demoMode === true) {
+      observer = { lat: DEMO_LAT, lon: DEMO_LON };
+    } else {
+      observer = params.observer;
+    }
+
+    const satellite = getSatellites().find((sat) => sat.satid === params.satid);
+
+    if (!satellite) {
+      return res.status(404).json({
+        message: "Satellite not found",
+        error: `No TLE data is loaded for satellite ${params.satid}`
+      });
+    }
+
+    const {
+      value: prediction,
+      degraded,
+      ...cache
+    } = await passCache.get(
+      [
+        params.satid,
+        observer.lat,
+        observer.lon,
+        params.days,
+        params.minElevation,
+        params.visibleOnly
+      ].join(":"),
+      async () => {
+        const start = new Date();
+        const end = new Date(
+          start.getTime() + params.days * 24 * 60 * 60 * 1000
+        );
+
+        return {
+          start: start.toISOString(),
+          end: end.toISOString(),
+          passes: predictPasses(satellite.satrec, observer, start, end, {
+            minElevation: params.minElevation,
+            visibleOnly: params.visibleOnly
+          })
+        };
+      }
+    );
+
+    // A cached prediction may include passes that have since ended
+    const now = new Date().toISOString();
+    const passes = prediction.passes.filter((pass) => pass.set.time > now);
+
+    res.json({
+      satellite: {
+        satid: satellite.satid,
+        satname: satellite.name,
+        intDesignator: satellite.intDesignator
+      },
+      passes,
+      metadata: {
+        timestamp: now,
+        count: passes.length,
+        location: {
+          lat: observer.lat,
+          lng: observer.lon
+        },
+        window: {
+          start: prediction.start,
+          end: prediction.end,
+          days: params.days
+        },
+        minElevation: params.minElevation,
+        visibleOnly: params.visibleOnly,
+        degraded,
+        cache
+      }
+    });
+  } catch (error) {
+    console.error("Error predicting satellite passes:", error);
+    res.status(500).json({
+      message: "Error predicting satellite passes",
+      error: error.message
+    });
+  }
+});
+
+// Description of the cartridge for discovery and the public catalog
+export const manifest = {
+  name: "SatellitesOverhead",
+  description:
+    "Satellites above the observer, propagated locally from CelesTrak TLEs",
+  demo: true,
+  refreshSeconds: 10,
+  routes: [
+    {
+      method: "GET",
+      path: "/",
+      summary: "Satellites above the horizon, highest first",
+      query: {
+        location: LOCATION_QUERY,
+        constellation: {
+          type: "string",
+          description:
+            "Comma-separated constellations (e.g. starlink,gps). Stations, debris and rocket bodies belong to none, so filter those by kind."
+        },
+        kind: {
+          type: "string",
+          description:
+            "Comma-separated kinds: communications, navigation, weather, station, military, payload, debris, rocket-body or unknown"
+        },
+        minElevation: {
+          type: "number",
+          minimum: 0,
+          maximum: 90,
+          default: 0,
+          description: "Minimum elevation above the horizon, in degrees"
+        }
+      },
+      response: { schema: SATELLITE_LIST_RESPONSE }
+    },
+    {
+      method: "GET",
+      path: "/passes",
+      summary: "Upcoming passes of a satellite over the observer",
+      query: {
+        satid: {
+          type: "integer",
+          minimum: 1,
+          maximum: 999999999,
+          required: true,
+          description: "NORAD catalog number"
+        },
+        location: LOCATION_QUERY,
+        lat: {
+          type: "number",
+          minimum: -90,
+          maximum: 90,
+          description: "Observer latitude, with lon (defaults to the studio)"
+        },
+        lon: {
+          type: "number",
+          minimum: -180,
+          maximum: 180,
+          description: "Observer longitude, with lat"
+        },
+        days: {
+          type: "number",
+          minimum: 0,
+          exclusiveMinimum: true,
+          maximum: MAX_PASS_DAYS,
+          default: DEFAULT_PASS_DAYS,
+          description: "Days ahead to predict"
+        },
+        minElevation: {
+          type: "number",
+          minimum: 0,
+          maximum: 90,
+          default: 0,
+          description: "Minimum peak elevation, in degrees"
+        },
+        visible: {
+          type: "boolean",
+          default: false,
+          description: "Only passes where the satellite is sunlit in a dark sky"
+        }
+      },
+      response: { schema: PASS_LIST_RESPONSE }
+    }
+  ]
+};
+
+// Cache controls for the admin API. Warming and refreshing compute positions
+// over the studio; pass predictions are only ever made on request.
+export const admin = {
+  actions: {
+    clear: () => {
+      satelliteCache.clear();
+      passCache.clear();
+      return { cleared: ["satellites", "satellite-passes"] };
+    },
+    warm: async () => {
+      const observer = config.locations.studio;
+      const key = `${observer.lat},${observer.lon}`;
+      const { value } = await satelliteCache.get(key, () =>
+        fetchSatelliteData(observer)
+      );
+      return { warmed: [key], count: value.length };
+    },
+    refresh: () => {
+      const observer = config.locations.studio;
+      const key = `${observer.lat},${observer.lon}`;
+      satelliteCache.refresh(key, () => fetchSatelliteData(observer));
+      return { refreshing: [key] };
+    },
+    inspect: () => ({
+      caches: [satelliteCache.inspect(), passCache.inspect()],
+      tleFiles: listTleFiles().map((file) => {
+        const { size, mtime } = fs.statSync(file);
+        return {
+          file: path.basename(file),
+          size,
+          modified: mtime.toISOString()
+        };
+      })
+    })
+  }
+};
+
+// Health details for the status endpoint. Positions are computed locally, so
+// the TLE files the importer last wrote stand in for an upstream.
+export const status = {
+  getDetails: () => {
+    const modified = listTleFiles().map((file) => fs.statSync(file).mtimeMs);
+
+    return {
+      upstreams: [],
+      caches: [satelliteCache.inspect(), passCache.inspect()],
+      tle: {
+        files: modified.length,
+        satellites: getSatellites().length,
+        importedAt: modified.length
+          ? new Date(Math.max(...modified)).toISOString()
+          : null
+      }
+    };
+  }
+};
+
 export default router;
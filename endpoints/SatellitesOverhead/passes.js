@@ -0,0 +1,158 @@
+import {
+  getLookAngles,
+  getSunElevation,
+  isSunlit,
+  toObserverGeodetic
+} from "./propagate.js";
+
+const STEP_SECONDS = 30; // Coarse scan step, short enough not to miss a LEO pass
+const VISIBILITY_STEP_SECONDS = 10;
+const REFINE_ITERATIONS = 12; // Bisection narrows 30 s to well under a second
+
+// The Sun must be this far below the horizon for the sky to be dark enough
+// to see a satellite (civil twilight)
+const DARK_SKY_SUN_ELEVATION = -6;
+
+const addSeconds = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+
+// Elevation in degrees, treating propagation failures as below the horizon
+const elevationAt = (satrec, date, observerGeodetic) => {
+  const lookAngles = getLookAngles(satrec, date, observerGeodetic);
+  return lookAngles ? lookAngles.elevation : -90;
+};
+
+// Find the moment between two times where the elevation crosses the horizon
+const refineCrossing = (satrec, observerGeodetic, before, after) => {
+  const risingAtStart = elevationAt(satrec, before, observerGeodetic) < 0;
+
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    const middle = new Date((before.getTime() + after.getTime()) / 2);
+    const aboveHorizon = elevationAt(satrec, middle, observerGeodetic) >= 0;
+
+    if (aboveHorizon === risingAtStart) {
+      after = middle;
+    } else {
+      before = middle;
+    }
+  }
+
+  return after;
+};
+
+// Find the highest point between two times with a golden-section search
+const refineCulmination = (satrec, observerGeodetic, start, end) => {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = start.getTime();
+  let b = end.getTime();
+
+  while (b - a > 1000) {
+    const c = b - (b - a) * ratio;
+    const d = a + (b - a) * ratio;
+
+    if (
+      elevationAt(satrec, new Date(c), observerGeodetic) >
+      elevationAt(satrec, new Date(d), observerGeodetic)
+    ) {
+      b = d;
+    } else {
+      a = c;
+    }
+  }
+
+  return new Date((a + b) / 2);
+};
+
+// Whether the satellite can be seen with the naked eye at any point of the
+// pass above the minimum elevation: sunlit while the observer is in darkness
+const isPassVisible = (satrec, observerGeodetic, pass, minElevation) => {
+  for (
+    let date = pass.rise;
+    date <= pass.set;
+    date = addSeconds(date, VISIBILITY_STEP_SECONDS)
+  ) {
+    const lookAngles = getLookAngles(satrec, date, observerGeodetic);
+
+    if (
+      lookAngles &&
+      lookAngles.elevation >= minElevation &&
+      isSunlit(lookAngles.position, date) &&
+      getSunElevation(date, observerGeodetic) <= DARK_SKY_SUN_ELEVATION
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Time and look angles of one point of a pass
+const formatPoint = (satrec, date, observerGeodetic) => {
+  const lookAngles = getLookAngles(satrec, date, observerGeodetic);
+
+  return {
+    time: date.toISOString(),
+    azimuth: lookAngles ? Math.round(lookAngles.azimuth * 10) / 10 : null,
+    elevation: lookAngles ? Math.round(lookAngles.elevation * 10) / 10 : null
+  };
+};
+
+// Predict passes of a satellite over an observer between start and end.
+// Passes already in progress at the start, or still in progress at the end,
+// are clipped to the window.
+export const predictPasses = (
+  satrec,
+  observer,
+  start,
+  end,
+  { minElevation = 0, visibleOnly = false } = {}
+) => {
+  const observerGeodetic = toObserverGeodetic(observer);
+  const passes = [];
+
+  let previous = start;
+  let rise = elevationAt(satrec, start, observerGeodetic) >= 0 ? start : null;
+
+  while (previous < end) {
+    const next = addSeconds(previous, STEP_SECONDS);
+    const current = next < end ? next : end;
+    const aboveHorizon = elevationAt(satrec, current, observerGeodetic) >= 0;
+
+    if (!rise && aboveHorizon) {
+      rise = refineCrossing(satrec, observerGeodetic, previous, current);
+    } else if (rise && !aboveHorizon) {
+      const set = refineCrossing(satrec, observerGeodetic, previous, current);
+      passes.push({ rise, set });
+      rise = null;
+    }
+
+    previous = current;
+  }
+
+  if (rise) {
+    passes.push({ rise, set: end });
+  }
+
+  return passes
+    .map((pass) => {
+      const culmination = refineCulmination(
+        satrec,
+        observerGeodetic,
+        pass.rise,
+        pass.set
+      );
+      return {
+        ...pass,
+        highest: formatPoint(satrec, culmination, observerGeodetic)
+      };
+    })
+    .filter((pass) => pass.highest.elevation >= minElevation)
+    .map((pass) => ({
+      rise: formatPoint(satrec, pass.rise, observerGeodetic),
+      culmination: pass.highest,
+      set: formatPoint(satrec, pass.set, observerGeodetic),
+      maxElevation: pass.highest.elevation,
+      duration: Math.round((pass.set - pass.rise) / 1000),
+      visible: isPassVisible(satrec, observerGeodetic, pass, minElevation)
+    }))
+    .filter((pass) => !visibleOnly || pass.visible);
+};
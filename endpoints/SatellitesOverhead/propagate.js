@@ -0,0 +1,110 @@
+import {
+  degreesLat,
+  degreesLong,
+  degreesToRadians,
+  ecfToLookAngles,
+  eciToEcf,
+  eciToGeodetic,
+  geodeticToEcf,
+  gstime,
+  jday,
+  propagate,
+  radiansToDegrees,
+  shadowFraction,
+  sunPos
+} from "satellite.js";
+
+const KM_PER_AU = 149597870.7;
+
+// Convert an observer in degrees to the geodetic form satellite.js expects
+export const toObserverGeodetic = ({ lat, lon }) => ({
+  latitude: degreesToRadians(lat),
+  longitude: degreesToRadians(lon),
+  height: 0
+});
+
+// Run SGP4 and return the ECI position in kilometers, or null if the orbit
+// has decayed or the elements are too far from their epoch to propagate
+const getEciPosition = (satrec, date) => {
+  const result = propagate(satrec, date);
+  return result && result.position ? result.position : null;
+};
+
+// Run SGP4 for a satellite at the given time and return its sub-satellite
+// point and altitude in kilometers
+export const getGeodeticPosition = (satrec, date) => {
+  const position = getEciPosition(satrec, date);
+
+  if (!position) {
+    return null;
+  }
+
+  const geodetic = eciToGeodetic(position, gstime(date));
+
+  return {
+    lat: degreesLat(geodetic.latitude),
+    lon: degreesLong(geodetic.longitude),
+    altitude: geodetic.height
+  };
+};
+
+// Azimuth and elevation in degrees and slant range in kilometers of a
+// satellite seen from an observer, plus its ECI position
+export const getLookAngles = (satrec, date, observerGeodetic) => {
+  const position = getEciPosition(satrec, date);
+
+  if (!position) {
+    return null;
+  }
+
+  const lookAngles = ecfToLookAngles(
+    observerGeodetic,
+    eciToEcf(position, gstime(date))
+  );
+
+  return {
+    azimuth: radiansToDegrees(lookAngles.azimuth),
+    elevation: radiansToDegrees(lookAngles.elevation),
+    range: lookAngles.rangeSat,
+    position
+  };
+};
+
+// Azimuth and elevation in degrees and slant range in kilometers of a point
+// given by latitude, longitude and altitude in kilometers
+export const getLookAnglesToPosition = (position, observerGeodetic) => {
+  const lookAngles = ecfToLookAngles(
+    observerGeodetic,
+    geodeticToEcf({
+      latitude: degreesToRadians(position.lat),
+      longitude: degreesToRadians(position.lon),
+      height: position.altitude
+    })
+  );
+
+  return {
+    azimuth: radiansToDegrees(lookAngles.azimuth),
+    elevation: radiansToDegrees(lookAngles.elevation),
+    range: lookAngles.rangeSat
+  };
+};
+
+// Whether a satellite at the given ECI position is in sunlight (less than
+// half of the Sun's disc hidden by the Earth)
+export const isSunlit = (position, date) =>
+  shadowFraction(sunPos(jday(date)).rsun, position) < 0.5;
+
+// Elevation of the Sun in degrees as seen from an observer
+export const getSunElevation = (date, observerGeodetic) => {
+  const { rsun } = sunPos(jday(date));
+  const sunEci = {
+    x: rsun.x * KM_PER_AU,
+    y: rsun.y * KM_PER_AU,
+    z: rsun.z * KM_PER_AU
+  };
+  const lookAngles = ecfToLookAngles(
+    observerGeodetic,
+    eciToEcf(sunEci, gstime(date))
+  );
+  return radiansToDegrees(lookAngles.elevation);
+};
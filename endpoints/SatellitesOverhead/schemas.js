@@ -0,0 +1,115 @@
+import {
+  CACHE_STATUS_SCHEMA,
+  DEGRADED_SCHEMA,
+  LOCATION_SCHEMA,
+  TIMESTAMP_SCHEMA
+} from "../../lib/schemas.js";
+
+// Response schemas for the manifest
+
+const SATELLITE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "integer", description: "NORAD catalog number" },
+    name: { type: "string" },
+    intDesignator: { type: "string", nullable: true },
+    launchDate: { type: "string", format: "date", nullable: true },
+    constellation: {
+      type: "string",
+      nullable: true,
+      description: "e.g. starlink or gps; null for satellites in none"
+    },
+    kind: {
+      type: "string",
+      description: "e.g. communications, navigation, weather, station or debris"
+    },
+    lat: { type: "number" },
+    lon: { type: "number" },
+    altitude: { type: "number", description: "Kilometers" },
+    azimuth: { type: "number", description: "Degrees from north" },
+    elevation: { type: "number", description: "Degrees above the horizon" },
+    range: { type: "number", description: "Kilometers from the observer" }
+  }
+};
+
+export const SATELLITE_LIST_RESPONSE = {
+  type: "object",
+  properties: {
+    satellites: { type: "array", items: SATELLITE_SCHEMA },
+    metadata: {
+      type: "object",
+      properties: {
+        timestamp: TIMESTAMP_SCHEMA,
+        count: { type: "integer" },
+        location: LOCATION_SCHEMA,
+        radius: {
+          type: "object",
+          properties: {
+            value: { type: "number" },
+            unit: { type: "string" }
+          }
+        },
+        source: { type: "string", enum: ["demo", "local-sgp4"] },
+        degraded: DEGRADED_SCHEMA,
+        cache: CACHE_STATUS_SCHEMA
+      }
+    }
+  }
+};
+
+const PASS_POINT_SCHEMA = {
+  type: "object",
+  properties: {
+    time: TIMESTAMP_SCHEMA,
+    azimuth: { type: "number", nullable: true },
+    elevation: { type: "number", nullable: true }
+  }
+};
+
+export const PASS_LIST_RESPONSE = {
+  type: "object",
+  properties: {
+    satellite: {
+      type: "object",
+      properties: {
+        satid: { type: "integer" },
+        satname: { type: "string" },
+        intDesignator: { type: "string", nullable: true }
+      }
+    },
+    passes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          rise: PASS_POINT_SCHEMA,
+          culmination: PASS_POINT_SCHEMA,
+          set: PASS_POINT_SCHEMA,
+          maxElevation: { type: "number" },
+          duration: { type: "integer", description: "Seconds" },
+          visible: { type: "boolean" }
+        }
+      }
+    },
+    metadata: {
+      type: "object",
+      properties: {
+        timestamp: TIMESTAMP_SCHEMA,
+        count: { type: "integer" },
+        location: LOCATION_SCHEMA,
+        window: {
+          type: "object",
+          properties: {
+            start: TIMESTAMP_SCHEMA,
+            end: TIMESTAMP_SCHEMA,
+            days: { type: "number" }
+          }
+        },
+        minElevation: { type: "number" },
+        visibleOnly: { type: "boolean" },
+        degraded: DEGRADED_SCHEMA,
+        cache: CACHE_STATUS_SCHEMA
+      }
+    }
+  }
+};
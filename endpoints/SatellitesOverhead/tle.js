@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import { twoline2satrec } from "satellite.js";
+import { config } from "../../lib/config.js";
+
+// TLE sets are read from every .tle/.txt file in this directory
+export const TLE_DIR = config.tleDir;
+
+// Parsed satellites and the file modification times they were loaded from
+let satellites = [];
+let loadedSignature = null;
+
+// Convert the TLE international designator (e.g. "98067A") to the
+// "1998-067A" form used in our responses
+const formatDesignator = (designator) => {
+  const match = designator.trim().match(/^(\d{2})(\d{3})(\w*)$/);
+
+  if (!match) {
+    return designator.trim() || null;
+  }
+
+  const year = parseInt(match[1], 10);
+  const century = year < 57 ? 2000 : 1900; // Sputnik launched in 1957
+  return `${century + year}-${match[2]}${match[3]}`;
+};
+
+// Parse three-line (name + two lines) or bare two-line element text
+export const parseTleText = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trimEnd())
+    .filter((line) => line.trim() !== "");
+
+  const parsed = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith("1 ") || !lines[i + 1]?.startsWith("2 ")) {
+      continue;
+    }
+
+    const line1 = lines[i];
+    const line2 = lines[i + 1];
+    const previous = lines[i - 1];
+    const satid = parseInt(line1.substring(2, 7), 10);
+    const name =
+      previous && !previous.startsWith("1 ") && !previous.startsWith("2 ")
+        ? previous.replace(/^0 /, "").trim()
+        : `NORAD ${satid}`;
+
+    try {
+      const satrec = twoline2satrec(line1, line2);
+
+      if (satrec.error) {
+        throw new Error(`SGP4 initialisation error ${satrec.error}`);
+      }
+
+      parsed.push({
+        satid,
+        name,
+        intDesignator: formatDesignator(line1.substring(9, 17)),
+        satrec
+      });
+    } catch (error) {
+      console.error(`Skipping invalid TLE for ${name}:`, error.message);
+    }
+
+    i++;
+  }
+
+  return parsed;
+};
+
+// Paths of the TLE files to load, in load order
+export const listTleFiles = () => {
+  if (!fs.existsSync(TLE_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(TLE_DIR)
+    .filter((file) => /\.(tle|txt)$/i.test(file))
+    .sort()
+    .map((file) => path.join(TLE_DIR, file));
+};
+
+// Return all loaded satellites, re-reading the TLE files whenever the
+// importer has changed them since the last load
+export const getSatellites = () => {
+  const files = listTleFiles();
+  const signature = files
+    .map((file) => `${file}:${fs.statSync(file).mtimeMs}`)
+    .join("|");
+
+  if (signature !== loadedSignature) {
+    const bySatid = new Map();
+
+    // Later files win when the same satellite appears in several groups
+    files.forEach((file) => {
+      parseTleText(fs.readFileSync(file, "utf8")).forEach((sat) =>
+        bySatid.set(sat.satid, sat)
+      );
+    });
+
+    satellites = [...bySatid.values()];
+    loadedSignature = signature;
+    console.log(`Loaded ${satellites.length} satellites from ${TLE_DIR}`);
+  }
+
+  return satellites;
+};
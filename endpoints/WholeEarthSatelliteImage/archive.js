@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import { config } from "../../lib/config.js";
+
+// Archive size limit in bytes, configured in megabytes
+const getMaxBytes = () => config.epicArchiveMaxMb * 1e6;
+
+// Total size of the files in a directory tree
+export const getDirectorySize = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return (
+      total +
+      (entry.isDirectory()
+        ? getDirectorySize(entryPath)
+        : fs.statSync(entryPath).size)
+    );
+  }, 0);
+
+// Every file in a directory tree as { file, size, modified }, with paths
+// relative to the directory
+export const listFiles = (dir, prefix = "") =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    const file = path.join(prefix, entry.name);
+
+    if (entry.isDirectory()) {
+      return listFiles(entryPath, file);
+    }
+
+    const { size, mtime } = fs.statSync(entryPath);
+    return [{ file, size, modified: mtime.toISOString() }];
+  });
+
+// Record that a cached day was just read. The access time of its metadata
+// file is what eviction orders by, so it is set explicitly rather than
+// relying on how the filesystem is mounted.
+export const markAccessed = (cacheFile) => {
+  try {
+    const { mtime } = fs.statSync(cacheFile);
+    fs.utimesSync(cacheFile, new Date(), mtime);
+  } catch (error) {
+    console.error("Error marking cached day as accessed:", error);
+  }
+};
+
+// Delete the least recently used day directories until the archive fits the
+// size limit. Each day is { dir, cacheFile, ... }; protected days (the latest
+// of each collection) are counted towards the total but never evicted.
+// Returns the days that were evicted.
+export const evictLeastRecentlyUsed = (days, protectedDirs) => {
+  const maxBytes = getMaxBytes();
+
+  const entries = days.map((day) => ({
+    ...day,
+    size: getDirectorySize(day.dir),
+    lastAccess: fs.existsSync(day.cacheFile)
+      ? fs.statSync(day.cacheFile).atimeMs
+      : 0
+  }));
+
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+
+  const candidates = entries
+    .filter((entry) => !protectedDirs.includes(entry.dir))
+    .sort((a, b) => a.lastAccess - b.lastAccess);
+
+  for (const entry of candidates) {
+    if (total <= maxBytes) {
+      break;
+    }
+
+    try {
+      fs.rmSync(entry.dir, { recursive: true, force: true });
+      total -= entry.size;
+      evicted.push(entry);
+      console.log(`Evicted cached EPIC day ${entry.dir}`);
+    } catch (error) {
+      console.error(`Error evicting ${entry.dir}:`, error);
+    }
+  }
+
+  return evicted;
+};
@@ -1,49 +1,255 @@
 import express from "express";
 import fs from "fs";
 import path from "path";
+import sharp from "sharp";
+import {
+  evictLeastRecentlyUsed,
+  getDirectorySize,
+  listFiles,
+  markAccessed
+} from "./archive.js";
+import {
+  CACHE_HEADERS,
+  DATE_LIST_RESPONSE,
+  IMAGE_LIST_RESPONSE,
+  NEAREST_IMAGE_RESPONSE,
+  RAW_IMAGE_HEADERS
+} from "./schemas.js";
+import { createCache } from "../../lib/cache.js";
+import { config, resolveLocation } from "../../lib/config.js";
+import { createGauge } from "../../lib/metrics.js";
+import { LOCATION_QUERY } from "../../lib/schemas.js";
+import { createUpstream } from "../../lib/upstream.js";
+import {
+  FORMATS,
+  RENDITION_QUERY,
+  getRendition,
+  parseRenditionParams
+} from "./renditions.js";
+import {
+  TIMELAPSE_FORMATS,
+  TIMELAPSE_QUERY,
+  getTimelapse
+} from "./timelapse.js";
 
 const router = express.Router();
 
-// Cache file paths (relative to this endpoint folder)
-const ENDPOINT_DIR = path.dirname(import.meta.url.replace("file://", ""));
-const CACHE_FILE = path.join(ENDPOINT_DIR, "cache", "earth-images.json");
-const CACHE_IMAGES_DIR = path.join(ENDPOINT_DIR, "cache", "images");
+// The image archive, one folder per collection and day
+const CACHE_DIR = path.join(config.cacheDir, "epic");
 const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
 
+// Observer longitude for demo mode
+const DEMO_LON = -73.935242;
+
+// EPIC image collections, each cached separately
+const COLLECTIONS = ["natural", "enhanced", "aerosol", "cloud"];
+const DEFAULT_COLLECTION = "natural";
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// NASA's API is slow and regularly returns 503s, so retry with backoff
+const nasa = createUpstream({
+  name: "NASA EPIC",
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 2000
+});
+
+// Full-size EPIC images are several megabytes each
+const IMAGE_DOWNLOAD_TIMEOUT = 60000;
+
+// Each collection keeps every cached day in its own folder, so refreshing
+// the latest day never touches another day's (or collection's) files
+const getCachePaths = (collection, day) => {
+  const dayDir = path.join(CACHE_DIR, collection, day);
+
+  return {
+    dayDir,
+    cacheFile: path.join(dayDir, "earth-images.json"),
+    imagesDir: path.join(dayDir, "images"),
+    timelapseDir: path.join(dayDir, "timelapse")
+  };
+};
+
 // Ensure cache directories exist
-const ensureCacheDir = () => {
-  const cacheDir = path.dirname(CACHE_FILE);
-  if (!fs.existsSync(cacheDir)) {
-    fs.mkdirSync(cacheDir, { recursive: true });
+const ensureCacheDir = (collection, day) => {
+  const { imagesDir } = getCachePaths(collection, day);
+  if (!fs.existsSync(imagesDir)) {
+    fs.mkdirSync(imagesDir, { recursive: true });
   }
-  if (!fs.existsSync(CACHE_IMAGES_DIR)) {
-    fs.mkdirSync(CACHE_IMAGES_DIR, { recursive: true });
+};
+
+// Read the collection from an admin request body, defaulting to natural
+// color
+const parseCollection = (body) => {
+  const collection = body.collection || DEFAULT_COLLECTION;
+
+  if (!COLLECTIONS.includes(collection)) {
+    throw new Error(`collection must be one of: ${COLLECTIONS.join(", ")}`);
+  }
+
+  return collection;
+};
+
+// The optional date query parameter (UTC day), which the manifest's schema
+// can't stop being in the future. Undefined means the latest available day.
+const parseDate = ({ date }) => {
+  if (date !== undefined && new Date(`${date}T00:00:00Z`) > new Date()) {
+    throw new Error("date cannot be in the future");
+  }
+
+  return date;
+};
+
+// UTC day an image was captured on (e.g. "2025-07-02 00:13:03")
+const getImageDay = (img) => img.date.slice(0, 10);
+
+// Local URL for a cached image, only naming the collection when it isn't the default
+const getLocalImageUrl = (collection, image) =>
+  collection === DEFAULT_COLLECTION
+    ? `/WholeEarthSatelliteImage/image/${image}.png`
+    : `/WholeEarthSatelliteImage/image/${image}.png?collection=${collection}`;
+
+// NASA archive URL for an image, based on its capture date
+const getNasaImageUrl = (collection, img) => {
+  const NASA_API_KEY = config.nasaApiKey;
+
+  // Parse date from the image date string (e.g., "2025-07-02 00:13:03")
+  const date = new Date(img.date);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+
+  return `https://api.nasa.gov/EPIC/archive/${collection}/${year}/${month}/${day}/png/${img.image}.png?api_key=${NASA_API_KEY}`;
+};
+
+// Each collection's latest day and its images ({ day, images }), kept on
+// disk across restarts. Once stale it keeps being served while a refresh
+// downloads the new image set in the background.
+const latestImages = createCache({
+  name: "epic-latest",
+  ttl: CACHE_DURATION,
+  staleTtl: Infinity,
+  disk: true
+});
+
+// Past days requested with date= ({ day, images }), keyed by
+// "<collection>:<day>". Their images live in the on-disk archive, so this
+// only saves re-reading it.
+const dayImages = createCache({
+  name: "epic-days",
+  ttl: CACHE_DURATION,
+  staleTtl: Infinity
+});
+
+// Days NASA has published for each collection
+const availableDates = createCache({
+  name: "epic-available",
+  ttl: CACHE_DURATION,
+  staleTtl: Infinity,
+  disk: true
+});
+
+createGauge({
+  name: "epic_image_cache_bytes",
+  help: "Size on disk of the EPIC image archive, by collection",
+  collect: () =>
+    COLLECTIONS.map((collection) => {
+      const collectionDir = path.join(CACHE_DIR, collection);
+      return {
+        labels: { collection },
+        value: fs.existsSync(collectionDir)
+          ? getDirectorySize(collectionDir)
+          : 0
+      };
+    })
+});
+
+// The collection's latest cached day, if any
+const getLatestDay = (collection) =>
+  latestImages.peek(collection)?.value.day || null;
+
+// NASA keeps adding images to a day for a while after it ends, so only days
+// at least two days old are treated as final
+const isFinalDay = (day) =>
+  day <
+  new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Days cached for a collection, oldest first
+const listCachedDays = (collection) => {
+  const collectionDir = path.join(CACHE_DIR, collection);
+
+  if (!fs.existsSync(collectionDir)) {
+    return [];
   }
+
+  return fs
+    .readdirSync(collectionDir)
+    .filter(
+      (name) =>
+        DAY_PATTERN.test(name) &&
+        fs.existsSync(getCachePaths(collection, name).cacheFile)
+    )
+    .sort();
 };
 
-// Read cached data if it exists (always return data if available, regardless of age)
-const getCachedData = () => {
+// Keep the archive within its size limit, never evicting the latest day of
+// a collection (or the day just downloaded) since that is what most
+// requests are for
+const enforceArchiveLimit = (justDownloaded) => {
   try {
-    if (!fs.existsSync(CACHE_FILE)) {
+    const days = [];
+    const protectedDirs = [
+      getCachePaths(justDownloaded.collection, justDownloaded.day).dayDir
+    ];
+
+    COLLECTIONS.forEach((collection) => {
+      const collectionDir = path.join(CACHE_DIR, collection);
+
+      if (fs.existsSync(collectionDir)) {
+        fs.readdirSync(collectionDir)
+          .filter((name) => DAY_PATTERN.test(name))
+          .forEach((day) =>
+            days.push({ collection, day, ...getCachePaths(collection, day) })
+          );
+      }
+
+      const latestDay = getLatestDay(collection);
+      if (latestDay) {
+        protectedDirs.push(getCachePaths(collection, latestDay).dayDir);
+      }
+    });
+
+    const evicted = evictLeastRecentlyUsed(
+      days.map(({ dayDir, ...day }) => ({ dir: dayDir, ...day })),
+      protectedDirs
+    );
+
+    evicted.forEach(({ collection, day }) =>
+      dayImages.delete(`${collection}:${day}`)
+    );
+  } catch (error) {
+    console.error("Error enforcing archive size limit:", error);
+  }
+};
+
+// Read a day's record from the archive, if all of its images are still there
+const getCachedData = (collection, day) => {
+  const { cacheFile, imagesDir } = getCachePaths(collection, day);
+
+  try {
+    if (!fs.existsSync(cacheFile)) {
       return null;
     }
 
-    const cachedData = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
-    const now = Date.now();
+    const cachedData = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
 
     // Verify that all cached images still exist
     const imagesExist = cachedData.data.every((img) =>
-      fs.existsSync(path.join(CACHE_IMAGES_DIR, `${img.image}.png`))
+      fs.existsSync(path.join(imagesDir, `${img.image}.png`))
     );
 
-    if (imagesExist) {
-      return {
-        data: cachedData.data,
-        isStale: now - cachedData.timestamp >= CACHE_DURATION
-      };
-    }
-
-    return null;
+    return imagesExist ? cachedData : null;
   } catch (error) {
     console.error("Error reading cache:", error);
     return null;
@@ -51,14 +257,17 @@ const getCachedData = () => {
 };
 
 // Save data to cache
-const saveToCache = (data) => {
+const saveToCache = (collection, day, data) => {
   try {
-    ensureCacheDir();
+    ensureCacheDir(collection, day);
     const cacheData = {
       timestamp: Date.now(),
       data: data
     };
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheData, null, 2));
+    fs.writeFileSync(
+      getCachePaths(collection, day).cacheFile,
+      JSON.stringify(cacheData, null, 2)
+    );
   } catch (error) {
     console.error("Error saving to cache:", error);
   }
@@ -66,22 +275,24 @@ const saveToCache = (data) => {
 
 // Download and cache an image with temporary filename
 const downloadAndCacheImage = async (
+  collection,
+  day,
   imageUrl,
   originalFilename,
   tempFilename
 ) => {
   try {
     // Ensure cache directory exists before writing
-    ensureCacheDir();
+    ensureCacheDir(collection, day);
 
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download image: ${response.status}`);
-    }
-
-    const buffer = await response.arrayBuffer();
-    const tempImagePath = path.join(CACHE_IMAGES_DIR, tempFilename);
-    fs.writeFileSync(tempImagePath, Buffer.from(buffer));
+    const buffer = await nasa.fetchBuffer(imageUrl, {
+      timeout: IMAGE_DOWNLOAD_TIMEOUT
+    });
+    const tempImagePath = path.join(
+      getCachePaths(collection, day).imagesDir,
+      tempFilename
+    );
+    fs.writeFileSync(tempImagePath, buffer);
 
     return { tempPath: tempImagePath, originalFilename };
   } catch (error) {
@@ -90,24 +301,47 @@ const downloadAndCacheImage = async (
   }
 };
 
-// Delete old images and rename temp files to final names
-const finalizeCacheUpdate = (downloadedImages) => {
+// Images never change once NASA publishes them, so one already in the
+// day's folder doesn't need downloading again
+const isImageCached = (collection, day, img) =>
+  fs.existsSync(
+    path.join(getCachePaths(collection, day).imagesDir, `${img.image}.png`)
+  );
+
+// Delete the day's old images (and their renditions), keeping those still in
+// the image set, and rename temp files to final names. The day's timelapses
+// are built from the old image set, so they go too if it changed.
+const finalizeCacheUpdate = (collection, day, downloadedImages, keptIds) => {
+  const { imagesDir, timelapseDir } = getCachePaths(collection, day);
+
   try {
-    if (fs.existsSync(CACHE_IMAGES_DIR)) {
-      // Step 1: Delete only old files (not temp files)
-      const files = fs.readdirSync(CACHE_IMAGES_DIR);
+    if (fs.existsSync(imagesDir)) {
+      // Delete only old files (not temp files or kept images)
+      const files = fs.readdirSync(imagesDir);
       const tempFileNames = downloadedImages.map((img) =>
         path.basename(img.tempPath)
       );
-      const oldFiles = files.filter((file) => !tempFileNames.includes(file));
+      const oldFiles = files.filter(
+        (file) =>
+          !tempFileNames.includes(file) && !keptIds.includes(file.split(".")[0])
+      );
 
       oldFiles.forEach((file) => {
-        fs.unlinkSync(path.join(CACHE_IMAGES_DIR, file));
+        fs.unlinkSync(path.join(imagesDir, file));
       });
 
-      // Step 2: Rename temp files to their final names
+      // Originals, rather than renditions or leftover temp files
+      const removedImages = oldFiles.filter(
+        (file) => /^[^.]+\.png$/.test(file) && !file.startsWith("temp_")
+      );
+
+      if (downloadedImages.length > 0 || removedImages.length > 0) {
+        fs.rmSync(timelapseDir, { recursive: true, force: true });
+      }
+
+      // Rename temp files to their final names
       downloadedImages.forEach(({ tempPath, finalFilename }) => {
-        const finalPath = path.join(CACHE_IMAGES_DIR, finalFilename);
+        const finalPath = path.join(imagesDir, finalFilename);
         fs.renameSync(tempPath, finalPath);
       });
     }
@@ -116,182 +350,135 @@ const finalizeCacheUpdate = (downloadedImages) => {
   }
 };
 
-// Background task to refresh cache
-let isRefreshing = false;
-const refreshCacheInBackground = async () => {
-  if (isRefreshing) {
-    return;
-  }
-
-  isRefreshing = true;
-
-  try {
-    const response = await fetchEarthImages();
-    const data = await response.json();
-
-    if (data.length === 0) {
-      throw new Error("No images available");
-    }
-
-    // Step 1: Identify which old images to delete (but don't delete them yet)
-    const oldImageFiles = fs.existsSync(CACHE_IMAGES_DIR)
-      ? fs.readdirSync(CACHE_IMAGES_DIR)
-      : [];
+// Download a collection's latest image set into the folder of the day it
+// was captured on, replacing that day's old images only once every new one
+// is on disk. Images already there are kept rather than downloaded again.
+// Returns { day, images } for the latest images cache.
+const refreshLatestImages = async (collection) => {
+  const data = await fetchEpicApi(collection, "images");
 
-    // Step 2: Download and save all the new images with temporary filenames
-    const imagesWithUrls = [];
-    const successfullyDownloadedIds = [];
-    const downloadedImages = []; // Track temp files and their final names
-    const NASA_API_KEY = process.env.NASA_API_KEY;
+  if (data.length === 0) {
+    throw new Error("No images available");
+  }
 
-    for (const img of data) {
-      try {
-        // Parse date from the image date string (e.g., "2025-07-02 00:13:03")
-        const date = new Date(img.date);
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, "0");
-        const day = String(date.getDate()).padStart(2, "0");
-
-        // Construct NASA image URL
-        const nasaImageUrl = `https://api.nasa.gov/EPIC/archive/natural/${year}/${month}/${day}/png/${img.image}.png?api_key=${NASA_API_KEY}`;
-
-        // Download and cache the image with temporary filename
-        const originalFilename = `${img.image}.png`;
-        const tempFilename = `temp_${Date.now()}_${img.image}.png`;
-        const downloadResult = await downloadAndCacheImage(
-          nasaImageUrl,
-          originalFilename,
-          tempFilename
-        );
+  // Download and save all the new images with temporary filenames
+  // into the folder of the day they were captured on
+  const day = getImageDay(data[0]);
+  const imagesWithUrls = [];
+  const successfullyDownloadedIds = [];
+  const keptIds = [];
+  const downloadedImages = []; // Track temp files and their final names
 
-        // Track successfully downloaded images
-        successfullyDownloadedIds.push(img.image);
-        downloadedImages.push({
-          tempPath: downloadResult.tempPath,
-          finalFilename: originalFilename
-        });
+  for (const img of data) {
+    try {
+      // Construct NASA image URL
+      const nasaImageUrl = getNasaImageUrl(collection, img);
 
-        // Add local URL to image object
+      if (isImageCached(collection, day, img)) {
+        keptIds.push(img.image);
         imagesWithUrls.push({
           ...img,
-          imageUrl: `/WholeEarthSatelliteImage/image/${img.image}.png`,
+          imageUrl: getLocalImageUrl(collection, img.image),
           originalUrl: nasaImageUrl
         });
-      } catch (error) {
-        console.error(`Failed to process image ${img.image}:`, error);
-        // Skip this image if download fails
+        continue;
       }
-    }
 
-    // Step 3: Delete all old images and rename temp files to final names
-    if (successfullyDownloadedIds.length > 0) {
-      finalizeCacheUpdate(downloadedImages);
+      // Download and cache the image with temporary filename
+      const originalFilename = `${img.image}.png`;
+      const tempFilename = `temp_${Date.now()}_${img.image}.png`;
+      const downloadResult = await downloadAndCacheImage(
+        collection,
+        day,
+        nasaImageUrl,
+        originalFilename,
+        tempFilename
+      );
+
+      // Track successfully downloaded images
+      successfullyDownloadedIds.push(img.image);
+      downloadedImages.push({
+        tempPath: downloadResult.tempPath,
+        finalFilename: originalFilename
+      });
 
-      // Save new data to cache
-      saveToCache(imagesWithUrls);
+      // Add local URL to image object
+      imagesWithUrls.push({
+        ...img,
+        imageUrl: getLocalImageUrl(collection, img.image),
+        originalUrl: nasaImageUrl
+      });
+    } catch (error) {
+      console.error(`Failed to process image ${img.image}:`, error);
+      // Skip this image if download fails
     }
-  } catch (error) {
-    console.error("Background cache refresh failed:", error);
-    // Don't clear existing cache if refresh fails - keep old images available
-  } finally {
-    isRefreshing = false;
   }
-};
 
-// Fetch fresh data from NASA API and cache images (synchronous version for initial load)
-const fetchEarthImages = async (retryCount = 3, retryDelay = 2000) => {
-  const NASA_API_KEY = process.env.NASA_API_KEY;
-
-  if (!NASA_API_KEY) {
-    throw new Error("NASA API key is not configured");
+  // Replace the day's old images, record the day in the archive and
+  // make room for it. If nothing downloaded, the cache keeps the old images.
+  if (successfullyDownloadedIds.length === 0 && keptIds.length === 0) {
+    throw new Error("No images could be downloaded");
   }
 
-  let lastError;
-
-  for (let attempt = 1; attempt <= retryCount; attempt++) {
-    try {
-      console.log(
-        `Attempting to fetch NASA EPIC images (attempt ${attempt}/${retryCount})...`
-      );
-
-      const response = await fetch(
-        `https://api.nasa.gov/EPIC/api/natural/images?api_key=${NASA_API_KEY}`,
-        {
-          timeout: 10000, // 10 second timeout
-          headers: {
-            "User-Agent": "CartridgeMachine-API/1.0"
-          }
-        }
-      );
+  finalizeCacheUpdate(collection, day, downloadedImages, keptIds);
+  saveToCache(collection, day, imagesWithUrls);
+  enforceArchiveLimit({ collection, day });
 
-      if (!response.ok) {
-        const errorMsg = `NASA API returned ${response.status}: ${response.statusText}`;
-        console.warn(errorMsg);
-
-        // For 503 (Service Unavailable) or 429 (Too Many Requests), retry
-        if (
-          (response.status === 503 || response.status === 429) &&
-          attempt < retryCount
-        ) {
-          console.log(`Retrying in ${retryDelay}ms...`);
-          await new Promise((resolve) => setTimeout(resolve, retryDelay));
-          retryDelay *= 1.5; // Exponential backoff
-          continue;
-        }
-
-        throw new Error(errorMsg);
-      }
+  return { day, images: imagesWithUrls };
+};
 
-      console.log("Successfully fetched NASA EPIC images");
-      return response;
-    } catch (error) {
-      lastError = error;
-      console.error(`Attempt ${attempt} failed:`, error.message);
+// Fetch an EPIC API resource for a collection: "images" (latest day),
+// "date/YYYY-MM-DD" or "available" (list of days with images)
+const fetchEpicApi = async (collection, resource) => {
+  const NASA_API_KEY = config.nasaApiKey;
 
-      if (attempt < retryCount) {
-        console.log(`Retrying in ${retryDelay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, retryDelay));
-        retryDelay *= 1.5; // Exponential backoff
-      }
-    }
+  if (!NASA_API_KEY) {
+    throw new Error("NASA API key is not configured");
   }
 
-  throw new Error(
-    `Failed to fetch images after ${retryCount} attempts. Last error: ${lastError.message}`
+  return nasa.fetchJson(
+    `https://api.nasa.gov/EPIC/api/${collection}/${resource}?api_key=${NASA_API_KEY}`
   );
 };
 
-const processEarthImagesData = async (retryCount = 3, retryDelay = 2000) => {
-  const response = await fetchEarthImages(retryCount, retryDelay);
-  const data = await response.json();
+// Fetch and download a day's images, or the latest day's when none is
+// given. Returns the day the images belong to along with them.
+const processEarthImagesData = async (collection, day) => {
+  const data = await fetchEpicApi(collection, day ? `date/${day}` : "images");
 
   if (data.length === 0) {
     throw new Error("No images available");
   }
 
+  const imagesDay = day || getImageDay(data[0]);
+
   // Process images and download them
   const imagesWithUrls = [];
-  const NASA_API_KEY = process.env.NASA_API_KEY;
+  let downloadedCount = 0;
 
   for (const img of data) {
     try {
-      // Parse date from the image date string (e.g., "2025-07-02 00:13:03")
-      const date = new Date(img.date);
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, "0");
-      const day = String(date.getDate()).padStart(2, "0");
-
       // Construct NASA image URL
-      const nasaImageUrl = `https://api.nasa.gov/EPIC/archive/natural/${year}/${month}/${day}/png/${img.image}.png?api_key=${NASA_API_KEY}`;
+      const nasaImageUrl = getNasaImageUrl(collection, img);
 
-      // Download and cache the image (synchronous version uses direct filenames)
-      const filename = `${img.image}.png`;
-      await downloadAndCacheImage(nasaImageUrl, filename, filename);
+      // Download and cache the image (synchronous version uses direct
+      // filenames), unless an earlier fetch of the day already did
+      if (!isImageCached(collection, imagesDay, img)) {
+        const filename = `${img.image}.png`;
+        await downloadAndCacheImage(
+          collection,
+          imagesDay,
+          nasaImageUrl,
+          filename,
+          filename
+        );
+        downloadedCount++;
+      }
 
       // Add local URL to image object
       imagesWithUrls.push({
         ...img,
-        imageUrl: `/WholeEarthSatelliteImage/image/${img.image}.png`,
+        imageUrl: getLocalImageUrl(collection, img.image),
         originalUrl: nasaImageUrl
       });
     } catch (error) {
@@ -300,56 +487,322 @@ const processEarthImagesData = async (retryCount = 3, retryDelay = 2000) => {
     }
   }
 
-  return imagesWithUrls;
+  // The day's timelapses don't show the new images
+  if (downloadedCount > 0) {
+    fs.rmSync(getCachePaths(collection, imagesDay).timelapseDir, {
+      recursive: true,
+      force: true
+    });
+  }
+
+  return { day: imagesDay, images: imagesWithUrls };
 };
 
-// GET endpoint for WholeEarthSatelliteImage - returns array of image IDs
+// Cache status for responses that weren't served from the cache
+const CACHE_MISS = { hit: false, ageSeconds: 0, stale: false };
+
+// Load a past day's images from the archive, or from NASA when the day isn't
+// archived yet (or is recent enough that NASA may have added images since)
+const loadDayImages = async (collection, day) => {
+  const archived = getCachedData(collection, day);
+
+  if (
+    archived &&
+    (isFinalDay(day) || Date.now() - archived.timestamp < CACHE_DURATION)
+  ) {
+    return { day, images: archived.data };
+  }
+
+  const { images } = await processEarthImagesData(collection, day);
+  saveToCache(collection, day, images);
+  enforceArchiveLimit({ collection, day });
+  return { day, images };
+};
+
+// Get a collection's images for a day (the latest when none is given) as
+// { images, cache, degraded }, where cache is the metadata.cache block. Stale images
+// are served immediately while refreshed in the background, so NASA is only
+// waited on when nothing is cached. Returns null when NASA EPIC is
+// unavailable.
+const loadImages = async (collection, demoMode, day) => {
+  const latest = !day || day === getLatestDay(collection);
+  const imageCache = latest ? latestImages : dayImages;
+  const key = latest ? collection : `${collection}:${day}`;
+  const options = latest
+    ? {}
+    : { ttl: isFinalDay(day) ? Infinity : CACHE_DURATION };
+
+  // The cached list outlives its files, which eviction (or a person) may
+  // have deleted, so only trust it while every image is still on disk
+  const cached = imageCache.peek(key, options);
+
+  if (
+    cached &&
+    !cached.value.images.every((img) =>
+      isImageCached(collection, cached.value.day, img)
+    )
+  ) {
+    imageCache.delete(key);
+  }
+
+  try {
+    let result;
+
+    if (demoMode) {
+      // Serve only what is already cached, empty when nothing is
+      result = imageCache.peek(key, options);
+
+      if (!result && !latest) {
+        const archived = getCachedData(collection, day);
+        result = archived && {
+          value: { day, images: archived.data },
+          ...CACHE_MISS,
+          degraded: false
+        };
+      }
+
+      if (!result) {
+        return { images: [], cache: CACHE_MISS, degraded: false };
+      }
+    } else {
+      result = await imageCache.get(
+        key,
+        () =>
+          latest
+            ? refreshLatestImages(collection)
+            : loadDayImages(collection, day),
+        options
+      );
+    }
+
+    const { value, degraded, ...cache } = result;
+    markAccessed(getCachePaths(collection, value.day).cacheFile);
+    return { images: value.images, cache, degraded };
+  } catch (error) {
+    console.error("Error fetching fresh data:", error);
+
+    // If NASA is down (or we've stopped asking it), let the caller explain
+    if (error.status === 503 || error.code === "circuit_open") {
+      return null;
+    }
+
+    // For other errors, return empty array if no cache and fetch fails
+    return { images: [], cache: CACHE_MISS, degraded: true };
+  }
+};
+
+const getAvailableDates = (collection) =>
+  availableDates.get(collection, () => fetchEpicApi(collection, "available"));
+
+// Find a cached image file. Image names carry their capture time
+// (e.g. "epic_1b_20250702001303"), which gives the day folder to look in;
+// otherwise every cached day is searched.
+const findCachedImage = (collection, filename) => {
+  const match = filename.match(/_(\d{4})(\d{2})(\d{2})\d{6}\b/);
+  const days = match
+    ? [`${match[1]}-${match[2]}-${match[3]}`]
+    : listCachedDays(collection).reverse();
+
+  for (const day of days) {
+    const { cacheFile, imagesDir } = getCachePaths(collection, day);
+    const imagePath = path.join(imagesDir, filename);
+
+    if (fs.existsSync(imagePath)) {
+      markAccessed(cacheFile);
+      return imagePath;
+    }
+  }
+
+  return null;
+};
+
+// Report cache status as headers, for responses that have no metadata block
+const setCacheHeaders = (res, cache, degraded) => {
+  res.setHeader(
+    "X-Cache",
+    cache.hit ? (cache.stale ? "STALE" : "HIT") : "MISS"
+  );
+  res.setHeader("Age", cache.ageSeconds);
+
+  if (degraded) {
+    res.setHeader("X-Degraded", "true");
+  }
+};
+
+const sendServiceUnavailable = (res) =>
+  res.status(503).json({
+    message: "NASA EPIC API is temporarily unavailable",
+    error:
+      "The NASA Earth Polychromatic Imaging Camera (EPIC) service is currently experiencing issues. Please try again later.",
+    retryAfter: "Please retry in a few minutes",
+    status: "service_unavailable"
+  });
+
+// EPIC dates are UTC without a zone (e.g. "2025-07-02 00:13:03")
+const parseEpicDate = (date) => new Date(`${date.replace(" ", "T")}Z`);
+
+// Older EPIC records nest the coordinates under "coords"
+const getCoordinates = (img) => img.coords || img;
+
+// Full metadata for an image: capture time, the point on Earth at the center
+// of the image, and J2000 positions (km from Earth's center) of the
+// spacecraft, Sun and Moon
+const formatImageDetail = (img) => {
+  const coordinates = getCoordinates(img);
+
+  return {
+    image: img.image,
+    date: parseEpicDate(img.date).toISOString(),
+    caption: img.caption,
+    centroid: coordinates.centroid_coordinates,
+    positions: {
+      spacecraft: coordinates.dscovr_j2000_position,
+      sun: coordinates.sun_j2000_position,
+      moon: coordinates.lunar_j2000_position
+    },
+    imageUrl: img.imageUrl
+  };
+};
+
+// Longitude difference in degrees, wrapping around the antimeridian
+const longitudeDifference = (lon1, lon2) => {
+  const difference = Math.abs(lon1 - lon2) % 360;
+  return (
+    Math.round((difference > 180 ? 360 - difference : difference) * 100) / 100
+  );
+};
+
+// GET endpoint for WholeEarthSatelliteImage - returns array of image IDs for
+// the latest day (or the day given with date=), or full image metadata with
+// detail=full. With metadata=true the array comes wrapped with a metadata
+// block like the other endpoints'.
 router.get("/", async (req, res) => {
+  let collection;
+  let day;
+
   try {
-    // Try to get cached data first
-    let cacheResult = getCachedData();
+    ({ collection } = req.validatedQuery);
+    day = parseDate(req.validatedQuery);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
+  try {
+    const result = await loadImages(collection, req.demoMode, day);
+
+    if (!result) {
+      return sendServiceUnavailable(res);
+    }
+
+    const { images, cache, degraded } = result;
+
+    // The bare arrays have nowhere to put cache status, so it always goes in
+    // headers too
+    setCacheHeaders(res, cache, degraded);
+
+    // Full image metadata, or just the array of image IDs (from current
+    // cache)
+    const list =
+      req.validatedQuery.detail === "full"
+        ? images.map(formatImageDetail)
+        : images.map((img) => img.image);
+
+    if (!req.validatedQuery.metadata) {
+      return res.json(list);
+    }
 
-    if (!cacheResult) {
-      // If demo mode is enabled, return empty array when no cache exists
-      if (req.demoMode) {
-        return res.json([]);
+    res.json({
+      images: list,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        count: list.length,
+        collection,
+        day: day || (images.length > 0 ? getImageDay(images[0]) : null),
+        degraded,
+        cache
       }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching whole earth satellite image",
+      error: error.message
+    });
+  }
+});
 
-      // If no cache exists, we need to fetch synchronously
-      try {
-        const images = await processEarthImagesData();
-        saveToCache(images);
-        cacheResult = { data: images, isStale: false };
-      } catch (error) {
-        console.error("Error fetching fresh data:", error);
-
-        // If this is a NASA API issue (503, 429, etc.), provide helpful message
-        if (
-          error.message.includes("503") ||
-          error.message.includes("Service Unavailable")
-        ) {
-          return res.status(503).json({
-            message: "NASA EPIC API is temporarily unavailable",
-            error:
-              "The NASA Earth Polychromatic Imaging Camera (EPIC) service is currently experiencing issues. Please try again later.",
-            retryAfter: "Please retry in a few minutes",
-            status: "service_unavailable"
-          });
-        }
+// GET endpoint for WholeEarthSatelliteImage/nearest - returns the image
+// whose centroid longitude is closest to the observer, i.e. our side of Earth
+router.get("/nearest", async (req, res) => {
+  let collection;
+  let day;
+  let lon;
+
+  try {
+    const { location } = req.validatedQuery;
+
+    ({ collection, lon } = req.validatedQuery);
+    day = parseDate(req.validatedQuery);
 
-        // For other errors, return empty array if no cache and fetch fails
-        cacheResult = { data: [], isStale: false };
+    if (lon !== undefined) {
+      if (location !== undefined) {
+        throw new Error("location cannot be combined with lon");
       }
+    } else if (req.demoMode && location === undefined) {
+      lon = DEMO_LON;
     } else {
-      // If cache is stale, trigger background refresh (unless in demo mode)
-      if (cacheResult.isStale && !req.demoMode) {
-        setImmediate(() => refreshCacheInBackground());
-      }
+      ({ lon } = resolveLocation({ location }));
     }
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
 
-    // Return just the array of image IDs (from current cache) immediately
-    const imageIds = cacheResult.data.map((img) => img.image);
-    res.json(imageIds);
+  try {
+    const result = await loadImages(collection, req.demoMode, day);
+
+    if (!result) {
+      return sendServiceUnavailable(res);
+    }
+
+    const { images, cache, degraded } = result;
+
+    const withCentroids = images.filter(
+      (img) => getCoordinates(img).centroid_coordinates
+    );
+
+    if (withCentroids.length === 0) {
+      return res.status(404).json({
+        message: "Image not found",
+        error: "No cached images with centroid coordinates are available"
+      });
+    }
+
+    const nearest = withCentroids.reduce((best, img) =>
+      longitudeDifference(getCoordinates(img).centroid_coordinates.lon, lon) <
+      longitudeDifference(getCoordinates(best).centroid_coordinates.lon, lon)
+        ? img
+        : best
+    );
+
+    res.json({
+      ...formatImageDetail(nearest),
+      longitudeDifference: longitudeDifference(
+        getCoordinates(nearest).centroid_coordinates.lon,
+        lon
+      ),
+      observer: { lon },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        collection,
+        degraded,
+        cache
+      }
+    });
   } catch (error) {
     res.status(500).json({
       message: "Error fetching whole earth satellite image",
@@ -358,26 +811,169 @@ router.get("/", async (req, res) => {
   }
 });
 
-// GET endpoint to serve cached images as files
-router.get("/image/:filename", (req, res) => {
+// GET endpoint for WholeEarthSatelliteImage/dates - lists the days NASA has
+// published for a collection and whether each is already cached
+router.get("/dates", async (req, res) => {
+  const { collection } = req.validatedQuery;
+
+  try {
+    const cachedDays = listCachedDays(collection);
+    let published = null;
+    let cache = CACHE_MISS;
+    let degraded = false;
+
+    // Demo mode and NASA outages fall back to the days we have cached
+    if (!req.demoMode) {
+      try {
+        ({
+          value: published,
+          degraded,
+          ...cache
+        } = await getAvailableDates(collection));
+      } catch (error) {
+        console.error("Error fetching available dates:", error);
+        degraded = true;
+      }
+    }
+
+    const dates = [...new Set([...(published || []), ...cachedDays])]
+      .sort()
+      .reverse()
+      .map((date) => ({ date, cached: cachedDays.includes(date) }));
+
+    res.json({
+      dates,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        count: dates.length,
+        collection,
+        latest: getLatestDay(collection),
+        source: published ? "nasa-epic" : "cache",
+        degraded,
+        cache
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching whole earth satellite image dates",
+      error: error.message
+    });
+  }
+});
+
+// GET endpoint for WholeEarthSatelliteImage/timelapse - an animated GIF or
+// APNG of one day's images (the latest by default) in chronological order
+router.get("/timelapse", async (req, res) => {
+  let collection;
+  let day;
+  let options;
+
   try {
-    const filename = req.params.filename;
-    const imagePath = path.join(CACHE_IMAGES_DIR, filename);
+    const { format, width, delay } = req.validatedQuery;
 
-    if (!fs.existsSync(imagePath)) {
+    ({ collection } = req.validatedQuery);
+    day = parseDate(req.validatedQuery);
+    options = { format, width, delay };
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
+  try {
+    const result = await loadImages(collection, req.demoMode, day);
+
+    if (!result) {
+      return sendServiceUnavailable(res);
+    }
+
+    const { images, cache, degraded } = result;
+
+    const imagePaths = [...images]
+      .sort((a, b) => parseEpicDate(a.date) - parseEpicDate(b.date))
+      .map((img) => findCachedImage(collection, `${img.image}.png`))
+      .filter(Boolean);
+
+    if (imagePaths.length === 0) {
+      return res.status(404).json({
+        message: "Image not found",
+        error: "No cached images are available for this day"
+      });
+    }
+
+    const { timelapseDir } = getCachePaths(
+      collection,
+      day || getImageDay(images[0])
+    );
+    const timelapsePath = await getTimelapse(imagePaths, timelapseDir, options);
+
+    setCacheHeaders(res, cache, degraded);
+    res.setHeader("Content-Type", TIMELAPSE_FORMATS[options.format]);
+    res.setHeader("Cache-Control", "public, max-age=43200"); // 12 hours cache
+    res.sendFile(timelapsePath);
+  } catch (error) {
+    res.status(500).json({
+      message: "Error building whole earth timelapse",
+      error: error.message
+    });
+  }
+});
+
+// GET endpoint to serve cached images as files, optionally as a resized,
+// re-encoded or palette-reduced rendition
+router.get("/image/:filename", async (req, res) => {
+  let collection;
+  let rendition;
+
+  try {
+    ({ collection } = req.validatedQuery);
+    rendition = parseRenditionParams(req.validatedQuery);
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
+  try {
+    const filename = path.basename(req.params.filename);
+    const imagePath = findCachedImage(collection, filename);
+
+    if (!imagePath) {
       return res.status(404).json({
         message: "Image not found",
         error: "The requested image is not available in cache"
       });
     }
 
-    // Set appropriate headers for PNG image
-    res.setHeader("Content-Type", "image/png");
+    let servedPath = imagePath;
+    let contentType = "image/png";
+
+    if (rendition) {
+      servedPath = await getRendition(imagePath, rendition);
+      contentType = FORMATS[rendition.format];
+
+      // Raw pixel data carries no header, so report its dimensions
+      if (rendition.format === "raw-rgb565") {
+        const width =
+          rendition.width || (await sharp(imagePath).metadata()).width;
+        const height = fs.statSync(servedPath).size / 2 / width;
+        res.setHeader("X-Image-Width", width);
+        res.setHeader("X-Image-Height", height);
+      }
+    }
+
+    // Set appropriate headers for the image
+    res.setHeader("Content-Type", contentType);
     res.setHeader("Cache-Control", "public, max-age=43200"); // 12 hours cache
-    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${path.basename(servedPath)}"`
+    );
 
     // Stream the image file
-    const imageStream = fs.createReadStream(imagePath);
+    const imageStream = fs.createReadStream(servedPath);
     imageStream.on("error", (error) => {
       console.error("Error streaming image:", error);
       res.status(500).json({
@@ -395,32 +991,203 @@ router.get("/image/:filename", (req, res) => {
   }
 });
 
-// GET endpoint for clearing cache
-router.get("/clear-cache", (req, res) => {
-  try {
-    // Clear metadata cache
-    if (fs.existsSync(CACHE_FILE)) {
-      fs.unlinkSync(CACHE_FILE);
-    }
+// Delete every cached day of the given collections, images included
+const clearCollections = (collections) => {
+  collections.forEach((collection) => {
+    fs.rmSync(path.join(CACHE_DIR, collection), {
+      recursive: true,
+      force: true
+    });
+    latestImages.delete(collection);
+    availableDates.delete(collection);
+  });
+  dayImages.clear();
+};
 
-    // Clear image cache
-    if (fs.existsSync(CACHE_IMAGES_DIR)) {
-      const files = fs.readdirSync(CACHE_IMAGES_DIR);
-      files.forEach((file) => {
-        fs.unlinkSync(path.join(CACHE_IMAGES_DIR, file));
-      });
+// Describe a collection's archive: each cached day with its files, and when
+// it was last read (which decides what is evicted first)
+const inspectArchive = (collection) => {
+  const latestDay = getLatestDay(collection);
+
+  return listCachedDays(collection).map((day) => {
+    const { dayDir, cacheFile } = getCachePaths(collection, day);
+    const files = listFiles(dayDir);
+
+    return {
+      day,
+      latest: day === latestDay,
+      size: files.reduce((total, file) => total + file.size, 0),
+      lastAccess: fs.statSync(cacheFile).atime.toISOString(),
+      files
+    };
+  });
+};
+
+// Query parameters shared by every route that reads a collection's day
+const COLLECTION_QUERY = {
+  collection: {
+    type: "string",
+    enum: COLLECTIONS,
+    default: DEFAULT_COLLECTION,
+    description: "EPIC imagery collection"
+  }
+};
+
+const DATE_QUERY = {
+  date: {
+    type: "string",
+    format: "date",
+    description: "UTC day (YYYY-MM-DD) to use instead of the latest"
+  }
+};
+
+// Description of the cartridge for discovery and the public catalog
+export const manifest = {
+  name: "WholeEarthSatelliteImage",
+  description:
+    "Whole-Earth images from NASA's EPIC camera on the DSCOVR spacecraft",
+  demo: true,
+  refreshSeconds: CACHE_DURATION / 1000,
+  routes: [
+    {
+      method: "GET",
+      path: "/",
+      summary: "Images for the latest day, or a given day",
+      query: {
+        ...COLLECTION_QUERY,
+        ...DATE_QUERY,
+        detail: {
+          type: "string",
+          enum: ["full"],
+          description: "Include full image metadata"
+        },
+        metadata: {
+          type: "boolean",
+          default: false,
+          description:
+            "Wrap the list as { images, metadata } with cache status, which is otherwise only in the X-Cache, Age and X-Degraded headers"
+        }
+      },
+      response: { schema: IMAGE_LIST_RESPONSE, headers: CACHE_HEADERS }
+    },
+    {
+      method: "GET",
+      path: "/nearest",
+      summary: "The image centered closest to a longitude",
+      query: {
+        ...COLLECTION_QUERY,
+        ...DATE_QUERY,
+        location: LOCATION_QUERY,
+        lon: {
+          type: "number",
+          minimum: -180,
+          maximum: 180,
+          description: "Longitude to match (defaults to the studio)"
+        }
+      },
+      response: { schema: NEAREST_IMAGE_RESPONSE }
+    },
+    {
+      method: "GET",
+      path: "/dates",
+      summary: "Days NASA has published, and whether each is cached",
+      query: COLLECTION_QUERY,
+      response: { schema: DATE_LIST_RESPONSE }
+    },
+    {
+      method: "GET",
+      path: "/timelapse",
+      summary: "An animation of a day's images",
+      query: { ...COLLECTION_QUERY, ...DATE_QUERY, ...TIMELAPSE_QUERY },
+      response: {
+        contentType: Object.values(TIMELAPSE_FORMATS),
+        description: "The animation, in the requested format",
+        headers: CACHE_HEADERS
+      }
+    },
+    {
+      method: "GET",
+      path: "/image/:filename",
+      summary: "A cached image, optionally resized or re-encoded",
+      query: { ...COLLECTION_QUERY, ...RENDITION_QUERY },
+      response: {
+        contentType: [...new Set(Object.values(FORMATS))],
+        description: "The image, or its rendition",
+        headers: RAW_IMAGE_HEADERS
+      }
     }
+  ]
+};
 
-    res.json({
-      message: "Cache cleared successfully",
-      status: "success"
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: "Error clearing cache",
-      error: error.message
-    });
+// Cache controls for the admin API, for one collection ({ "collection":
+// "enhanced" }) or all of them. Warming and refreshing download each
+// collection's latest images.
+export const admin = {
+  parseParams: (body) => ({
+    collections:
+      body.collection === undefined ? COLLECTIONS : [parseCollection(body)]
+  }),
+  actions: {
+    clear: ({ collections }) => {
+      clearCollections(collections);
+      return { cleared: collections };
+    },
+    warm: async ({ collections }) => {
+      const warmed = [];
+      const failed = [];
+
+      // One collection at a time, since each is a batch of large downloads
+      for (const collection of collections) {
+        try {
+          const { value, hit } = await latestImages.get(collection, () =>
+            refreshLatestImages(collection)
+          );
+          warmed.push({
+            collection,
+            day: value.day,
+            count: value.images.length,
+            hit
+          });
+        } catch (error) {
+          failed.push({ collection, error: error.message });
+        }
+      }
+
+      return { warmed, failed };
+    },
+    refresh: ({ collections }) => {
+      collections.forEach((collection) =>
+        latestImages.refresh(collection, () => refreshLatestImages(collection))
+      );
+      return { refreshing: collections };
+    },
+    inspect: ({ collections }) => ({
+      caches: [
+        latestImages.inspect(),
+        dayImages.inspect(),
+        availableDates.inspect()
+      ],
+      archive: Object.fromEntries(
+        collections.map((collection) => [
+          collection,
+          inspectArchive(collection)
+        ])
+      )
+    })
   }
-});
+};
+
+// Health details for the status endpoint
+export const status = {
+  requiredConfig: ["nasaApiKey"],
+  getDetails: () => ({
+    upstreams: [nasa.getState()],
+    caches: [
+      latestImages.inspect(),
+      dayImages.inspect(),
+      availableDates.inspect()
+    ]
+  })
+};
 
 export default router;
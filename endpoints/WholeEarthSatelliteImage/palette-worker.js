@@ -0,0 +1,144 @@
+// Worker thread reducing an image to a palette, so the half second or more
+// this takes on a full-size image doesn't block the event loop. It is
+// handed { pixels, width, height, colors, dither } and posts back the
+// quantized 8-bit RGB pixels.
+import { parentPort, workerData } from "worker_threads";
+
+// Build a palette of up to `count` colors by recursively splitting the box
+// of sampled colors along its widest channel (median cut)
+const buildPalette = (pixels, count) => {
+  const samples = [];
+  const step = Math.max(1, Math.floor(pixels.length / 3 / 65536));
+
+  for (let i = 0; i < pixels.length; i += 3 * step) {
+    samples.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+  }
+
+  let boxes = [samples];
+
+  while (boxes.length < count) {
+    // Split the box with the largest spread in any channel
+    let widest = null;
+
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+
+      for (let channel = 0; channel < 3; channel++) {
+        let min = 255;
+        let max = 0;
+        box.forEach((color) => {
+          min = Math.min(min, color[channel]);
+          max = Math.max(max, color[channel]);
+        });
+
+        if (!widest || max - min > widest.range) {
+          widest = { index, channel, range: max - min };
+        }
+      }
+    });
+
+    if (!widest || widest.range === 0) {
+      break;
+    }
+
+    const box = boxes[widest.index].sort(
+      (a, b) => a[widest.channel] - b[widest.channel]
+    );
+    const middle = Math.floor(box.length / 2);
+    boxes.splice(widest.index, 1, box.slice(0, middle), box.slice(middle));
+  }
+
+  // Each palette entry is the average color of its box
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    box.forEach((color) => {
+      sum[0] += color[0];
+      sum[1] += color[1];
+      sum[2] += color[2];
+    });
+    return sum.map((value) => Math.round(value / box.length));
+  });
+};
+
+// Find the closest palette color. Lookups are memoized on 5 bits per
+// channel, which is close enough for the palette sizes we allow.
+const createColorMatcher = (palette) => {
+  const cache = new Int16Array(32768).fill(-1);
+
+  return (r, g, b) => {
+    r = Math.min(255, Math.max(0, Math.round(r)));
+    g = Math.min(255, Math.max(0, Math.round(g)));
+    b = Math.min(255, Math.max(0, Math.round(b)));
+
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+    if (cache[key] === -1) {
+      let nearestDistance = Infinity;
+
+      palette.forEach((color, index) => {
+        const distance =
+          (color[0] - r) * (color[0] - r) +
+          (color[1] - g) * (color[1] - g) +
+          (color[2] - b) * (color[2] - b);
+
+        if (distance < nearestDistance) {
+          cache[key] = index;
+          nearestDistance = distance;
+        }
+      });
+    }
+
+    return palette[cache[key]];
+  };
+};
+
+// Map every pixel to the palette, optionally diffusing each pixel's
+// quantization error onto its neighbours (Floyd-Steinberg)
+const quantize = (pixels, width, height, palette, dither) => {
+  const working = Float32Array.from(pixels);
+  const output = new Uint8Array(pixels.length);
+  const findNearestColor = createColorMatcher(palette);
+
+  const spread = (x, y, error, weight) => {
+    if (x < 0 || x >= width || y >= height) return;
+    const offset = (y * width + x) * 3;
+    working[offset] += error[0] * weight;
+    working[offset + 1] += error[1] * weight;
+    working[offset + 2] += error[2] * weight;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const r = working[offset];
+      const g = working[offset + 1];
+      const b = working[offset + 2];
+      const color = findNearestColor(r, g, b);
+
+      output[offset] = color[0];
+      output[offset + 1] = color[1];
+      output[offset + 2] = color[2];
+
+      if (dither === "floyd-steinberg") {
+        const error = [r - color[0], g - color[1], b - color[2]];
+        spread(x + 1, y, error, 7 / 16);
+        spread(x - 1, y + 1, error, 3 / 16);
+        spread(x, y + 1, error, 5 / 16);
+        spread(x + 1, y + 1, error, 1 / 16);
+      }
+    }
+  }
+
+  return output;
+};
+
+const { pixels, width, height, colors, dither } = workerData;
+const output = quantize(
+  pixels,
+  width,
+  height,
+  buildPalette(pixels, colors),
+  dither
+);
+
+parentPort.postMessage(output, [output.buffer]);
@@ -0,0 +1,174 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { Worker } from "worker_threads";
+
+// Output formats and the content type each is served with
+export const FORMATS = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  "raw-rgb565": "application/octet-stream"
+};
+
+const DITHER_MODES = ["none", "floyd-steinberg"];
+
+// Renditions stay on disk as long as their image does, and the latest day is
+// never evicted, so only a few widths and palette sizes are offered to bound
+// how many renditions an image can have
+const WIDTHS = [64, 128, 240, 320, 480, 640, 1024, 2048];
+const PALETTE_SIZES = [2, 4, 8, 16, 32, 64, 128, 256];
+
+// Query parameters for renditions, as listed in the cartridge manifest
+export const RENDITION_QUERY = {
+  width: {
+    type: "integer",
+    enum: WIDTHS,
+    description: "Width to resize to, keeping the aspect ratio"
+  },
+  format: {
+    type: "string",
+    enum: Object.keys(FORMATS),
+    default: "png",
+    description: "Image format; raw-rgb565 is headerless 16-bit pixels"
+  },
+  dither: {
+    type: "string",
+    enum: DITHER_MODES,
+    default: "none",
+    description: "Dithering when reducing colors (needs colors)"
+  },
+  colors: {
+    type: "integer",
+    enum: PALETTE_SIZES,
+    description: "Palette size to reduce the image to"
+  }
+};
+
+// Renditions being generated, so concurrent requests share the work
+const pendingRenditions = new Map();
+
+// Rendition options from the validated query, checking what the manifest's
+// schemas can't. Returns null when the original PNG is what was asked for.
+export const parseRenditionParams = ({ width, format, dither, colors }) => {
+  if (dither === "floyd-steinberg" && colors === undefined) {
+    throw new Error("dither requires a colors palette size");
+  }
+
+  if (width === undefined && colors === undefined && format === "png") {
+    return null;
+  }
+
+  return { width, format, dither, colors };
+};
+
+// Renditions are stored next to the original as
+// "<image>.<width>w-<colors>c-<dither>.<format>", so anything that deletes the
+// images folder's files cleans them up with the originals
+export const getRenditionFilename = (originalFilename, options) => {
+  const base = path.basename(originalFilename, path.extname(originalFilename));
+  const key = [
+    options.width ? `${options.width}w` : "full",
+    options.colors ? `${options.colors}c` : "truecolor",
+    options.dither
+  ].join("-");
+
+  return `${base}.${key}.${options.format}`;
+};
+
+// Pack 8-bit RGB pixels into little-endian 16-bit RGB565
+const toRgb565 = (pixels) => {
+  const output = Buffer.alloc((pixels.length / 3) * 2);
+
+  for (let i = 0, j = 0; i < pixels.length; i += 3, j += 2) {
+    const value =
+      ((pixels[i] & 0xf8) << 8) |
+      ((pixels[i + 1] & 0xfc) << 3) |
+      (pixels[i + 2] >> 3);
+    output.writeUInt16LE(value, j);
+  }
+
+  return output;
+};
+
+// Reduce raw RGB pixels to a palette of `colors` in a worker thread
+const quantizeInWorker = (pixels, width, height, colors, dither) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./palette-worker.js", import.meta.url), {
+      workerData: { pixels, width, height, colors, dither }
+    });
+
+    worker.once("message", (output) =>
+      resolve(Buffer.from(output.buffer, output.byteOffset, output.length))
+    );
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) {
+        reject(new Error(`Palette worker stopped with exit code ${code}`));
+      }
+    });
+  });
+
+// Resize, quantize and encode a rendition of the original image
+const renderImage = async (originalPath, renditionPath, options) => {
+  let image = sharp(originalPath).removeAlpha();
+
+  if (options.width) {
+    image = image.resize({ width: options.width });
+  }
+
+  const { data, info } = await image
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = options.colors
+    ? await quantizeInWorker(
+        data,
+        info.width,
+        info.height,
+        options.colors,
+        options.dither
+      )
+    : data;
+
+  let output;
+
+  if (options.format === "raw-rgb565") {
+    output = toRgb565(pixels);
+  } else {
+    const raw = {
+      raw: { width: info.width, height: info.height, channels: 3 }
+    };
+    output = await sharp(pixels, raw).toFormat(options.format).toBuffer();
+  }
+
+  // Write to a temp file first so a half-written rendition is never served
+  const tempPath = `${renditionPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, output);
+  fs.renameSync(tempPath, renditionPath);
+};
+
+// Return the path of a rendition of a cached original, generating it on
+// first request
+export const getRendition = async (originalPath, options) => {
+  const renditionPath = path.join(
+    path.dirname(originalPath),
+    getRenditionFilename(path.basename(originalPath), options)
+  );
+
+  if (fs.existsSync(renditionPath)) {
+    return renditionPath;
+  }
+
+  if (!pendingRenditions.has(renditionPath)) {
+    pendingRenditions.set(
+      renditionPath,
+      renderImage(originalPath, renditionPath, options).finally(() =>
+        pendingRenditions.delete(renditionPath)
+      )
+    );
+  }
+
+  await pendingRenditions.get(renditionPath);
+  return renditionPath;
+};
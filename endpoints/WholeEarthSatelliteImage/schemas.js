@@ -0,0 +1,154 @@
+import {
+  CACHE_STATUS_SCHEMA,
+  DEGRADED_SCHEMA,
+  TIMESTAMP_SCHEMA
+} from "../../lib/schemas.js";
+
+// Response schemas for the manifest
+
+const POSITION_SCHEMA = {
+  type: "object",
+  description: "J2000 position, in km from Earth's center",
+  properties: {
+    x: { type: "number" },
+    y: { type: "number" },
+    z: { type: "number" }
+  }
+};
+
+const IMAGE_DETAIL_SCHEMA = {
+  type: "object",
+  properties: {
+    image: { type: "string" },
+    date: TIMESTAMP_SCHEMA,
+    caption: { type: "string" },
+    centroid: {
+      type: "object",
+      description: "The point on Earth at the center of the image",
+      properties: {
+        lat: { type: "number" },
+        lon: { type: "number" }
+      }
+    },
+    positions: {
+      type: "object",
+      properties: {
+        spacecraft: POSITION_SCHEMA,
+        sun: POSITION_SCHEMA,
+        moon: POSITION_SCHEMA
+      }
+    },
+    imageUrl: { type: "string" }
+  }
+};
+
+// Cache status for responses without a metadata block: the image list
+// (unless metadata=true) and timelapses
+export const CACHE_HEADERS = {
+  "X-Cache": {
+    description: "HIT, STALE (being refreshed) or MISS",
+    schema: { type: "string", enum: ["HIT", "STALE", "MISS"] }
+  },
+  Age: {
+    description: "Seconds since the images were fetched from NASA",
+    schema: { type: "integer" }
+  },
+  "X-Degraded": {
+    description: "true when NASA failed and older images are being served",
+    schema: { type: "string", enum: ["true"] }
+  }
+};
+
+// Sizes of raw-rgb565 renditions, which have no header of their own
+export const RAW_IMAGE_HEADERS = {
+  "X-Image-Width": {
+    description: "Pixels, for raw-rgb565 renditions",
+    schema: { type: "integer" }
+  },
+  "X-Image-Height": {
+    description: "Pixels, for raw-rgb565 renditions",
+    schema: { type: "integer" }
+  }
+};
+
+const IMAGE_LIST_SCHEMA = {
+  type: "array",
+  description: "Image names, or full image metadata with detail=full",
+  items: {
+    oneOf: [{ type: "string" }, IMAGE_DETAIL_SCHEMA]
+  }
+};
+
+// A bare array for existing clients, or the same list with a metadata block
+// when asked for with metadata=true
+export const IMAGE_LIST_RESPONSE = {
+  oneOf: [
+    IMAGE_LIST_SCHEMA,
+    {
+      type: "object",
+      properties: {
+        images: IMAGE_LIST_SCHEMA,
+        metadata: {
+          type: "object",
+          properties: {
+            timestamp: TIMESTAMP_SCHEMA,
+            count: { type: "integer" },
+            collection: { type: "string" },
+            day: { type: "string", format: "date", nullable: true },
+            degraded: DEGRADED_SCHEMA,
+            cache: CACHE_STATUS_SCHEMA
+          }
+        }
+      }
+    }
+  ]
+};
+
+export const NEAREST_IMAGE_RESPONSE = {
+  type: "object",
+  properties: {
+    ...IMAGE_DETAIL_SCHEMA.properties,
+    longitudeDifference: { type: "number", description: "Degrees" },
+    observer: {
+      type: "object",
+      properties: { lon: { type: "number" } }
+    },
+    metadata: {
+      type: "object",
+      properties: {
+        timestamp: TIMESTAMP_SCHEMA,
+        collection: { type: "string" },
+        degraded: DEGRADED_SCHEMA,
+        cache: CACHE_STATUS_SCHEMA
+      }
+    }
+  }
+};
+
+export const DATE_LIST_RESPONSE = {
+  type: "object",
+  properties: {
+    dates: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          date: { type: "string", format: "date" },
+          cached: { type: "boolean" }
+        }
+      }
+    },
+    metadata: {
+      type: "object",
+      properties: {
+        timestamp: TIMESTAMP_SCHEMA,
+        count: { type: "integer" },
+        collection: { type: "string" },
+        latest: { type: "string", format: "date", nullable: true },
+        source: { type: "string", enum: ["nasa-epic", "cache"] },
+        degraded: DEGRADED_SCHEMA,
+        cache: CACHE_STATUS_SCHEMA
+      }
+    }
+  }
+};
@@ -0,0 +1,190 @@
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
+import sharp from "sharp";
+
+const deflate = promisify(zlib.deflate);
+
+// Output formats and the content type each is served with
+export const TIMELAPSE_FORMATS = {
+  gif: "image/gif",
+  apng: "image/apng"
+};
+
+// Timelapses are kept for as long as their day's images, so only a few
+// widths and delays are offered to bound how many a day can have
+const WIDTHS = [128, 256, 512, 1024];
+const DEFAULT_WIDTH = 512;
+const DELAYS = [50, 100, 200, 500, 1000]; // Milliseconds per frame
+const DEFAULT_DELAY = 200;
+
+// Query parameters for timelapses, as listed in the cartridge manifest
+export const TIMELAPSE_QUERY = {
+  format: {
+    type: "string",
+    enum: Object.keys(TIMELAPSE_FORMATS),
+    default: "gif",
+    description: "Animation format"
+  },
+  width: {
+    type: "integer",
+    enum: WIDTHS,
+    default: DEFAULT_WIDTH,
+    description: "Frame width"
+  },
+  delay: {
+    type: "integer",
+    enum: DELAYS,
+    default: DEFAULT_DELAY,
+    description: "Milliseconds each frame is shown"
+  }
+};
+
+// Timelapses being built, so concurrent requests share the work
+const pendingTimelapses = new Map();
+
+export const getTimelapseFilename = (options) =>
+  `timelapse.${options.width}w-${options.delay}ms.${options.format === "apng" ? "png" : "gif"}`;
+
+// Build a PNG chunk: length, type, data and a CRC of type and data
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+// Encode equally sized 8-bit RGB frames as an animated PNG that loops
+// forever. Every frame covers the whole canvas, so no blending is needed.
+// Frames are compressed one at a time off the main thread, since full-size
+// frames take long enough to hold up other requests.
+const encodeApng = async (frames, width, height, delay) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Truecolor
+
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(frames.length, 0);
+  animationControl.writeUInt32BE(0, 4); // Play count, 0 loops forever
+
+  const chunks = [
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("acTL", animationControl)
+  ];
+
+  let sequence = 0;
+
+  for (const [index, pixels] of frames.entries()) {
+    const frameControl = Buffer.alloc(26);
+    frameControl.writeUInt32BE(sequence++, 0);
+    frameControl.writeUInt32BE(width, 4);
+    frameControl.writeUInt32BE(height, 8);
+    frameControl.writeUInt16BE(delay, 20); // Delay numerator...
+    frameControl.writeUInt16BE(1000, 22); // ...over milliseconds
+    chunks.push(pngChunk("fcTL", frameControl));
+
+    // Each scanline is prefixed with filter type 0 (none)
+    const stride = width * 3;
+    const scanlines = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+      pixels.copy(
+        scanlines,
+        y * (stride + 1) + 1,
+        y * stride,
+        (y + 1) * stride
+      );
+    }
+    const compressed = await deflate(scanlines);
+
+    // The first frame doubles as the still image shown by non-APNG viewers
+    if (index === 0) {
+      chunks.push(pngChunk("IDAT", compressed));
+    } else {
+      const sequenceNumber = Buffer.alloc(4);
+      sequenceNumber.writeUInt32BE(sequence++);
+      chunks.push(
+        pngChunk("fdAT", Buffer.concat([sequenceNumber, compressed]))
+      );
+    }
+  }
+
+  chunks.push(pngChunk("IEND", Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+};
+
+// Resize every frame and encode the animation
+const renderTimelapse = async (imagePaths, timelapsePath, options) => {
+  const frames = [];
+
+  // One frame at a time, since the full-size originals are large
+  for (const imagePath of imagePaths) {
+    frames.push(
+      await sharp(imagePath)
+        .removeAlpha()
+        .resize({ width: options.width })
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+    );
+  }
+
+  const { width, height } = frames[0].info;
+  let output;
+
+  if (options.format === "apng") {
+    output = await encodeApng(
+      frames.map((frame) => frame.data),
+      width,
+      height,
+      options.delay
+    );
+  } else {
+    const raw = { raw: { width, height, channels: 3 } };
+    const pages = await Promise.all(
+      frames.map((frame) => sharp(frame.data, raw).png().toBuffer())
+    );
+
+    // Joining needs at least two images, so a single frame is encoded alone
+    const image =
+      pages.length > 1
+        ? sharp(pages, { join: { animated: true } })
+        : sharp(pages[0]);
+    output = await image
+      .gif({ delay: pages.map(() => options.delay), loop: 0 })
+      .toBuffer();
+  }
+
+  // Write to a temp file first so a half-written timelapse is never served
+  fs.mkdirSync(path.dirname(timelapsePath), { recursive: true });
+  const tempPath = `${timelapsePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, output);
+  fs.renameSync(tempPath, timelapsePath);
+};
+
+// Return the path of a timelapse of the given images (already in
+// chronological order), building it on first request. Built timelapses are
+// kept in timelapseDir until the day's images change.
+export const getTimelapse = async (imagePaths, timelapseDir, options) => {
+  const timelapsePath = path.join(timelapseDir, getTimelapseFilename(options));
+
+  if (fs.existsSync(timelapsePath)) {
+    return timelapsePath;
+  }
+
+  if (!pendingTimelapses.has(timelapsePath)) {
+    pendingTimelapses.set(
+      timelapsePath,
+      renderTimelapse(imagePaths, timelapsePath, options).finally(() =>
+        pendingTimelapses.delete(timelapsePath)
+      )
+    );
+  }
+
+  await pendingTimelapses.get(timelapsePath);
+  return timelapsePath;
+};
@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import fs from "fs";
+import { config } from "./config.js";
+
+// Named API keys are read from this JSON file, reloaded whenever it changes:
+// {
+//   "keys": [
+//     {
+//       "name": "kitchen-display",
+//       "key": "...",
+//       "scopes": ["AircraftOverhead", "WholeEarthSatelliteImage"],
+//       "expiresAt": "2026-01-01T00:00:00Z",
+//       "rateLimit": { "requests": 60, "perSeconds": 60 }
+//     }
+//   ]
+// }
+// Scopes name the cartridges a key may use ("*" for all of them), plus
+// "admin" for the admin API and status, "metrics" for scraping /metrics
+// (admin keys may too) and "demo" to only ever serve demo data.
+
+// Scopes for operating the API rather than using it, which "*" doesn't grant
+const OPERATOR_SCOPES = ["admin", "metrics"];
+
+// Budget for keys that don't set their own: 120 requests a minute
+const DEFAULT_RATE_LIMIT = { requests: 120, perSeconds: 60 };
+
+// The public DEMO key only serves demo data, with a budget per client
+const DEMO_KEY = {
+  name: "demo",
+  key: "DEMO",
+  scopes: ["*", "demo"],
+  rateLimit: { requests: 30, perSeconds: 60 }
+};
+
+let fileKeys = [];
+let loadedMtime = null;
+
+// Keys from the key store, plus the legacy FCC_API_KEY with every scope
+// except admin so existing cartridges keep working
+const getKeys = () => {
+  const keysFile = config.apiKeysFile;
+
+  try {
+    const mtime = fs.existsSync(keysFile) ? fs.statSync(keysFile).mtimeMs : 0;
+
+    if (mtime !== loadedMtime) {
+      fileKeys = mtime
+        ? JSON.parse(fs.readFileSync(keysFile, "utf8")).keys || []
+        : [];
+      loadedMtime = mtime;
+      console.log(`Loaded ${fileKeys.length} API keys from ${keysFile}`);
+    }
+  } catch (error) {
+    // Keep the previously loaded keys if the file is mid-edit
+    console.error("Error loading API keys:", error.message);
+  }
+
+  const keys = [DEMO_KEY, ...fileKeys];
+
+  if (config.fccApiKey) {
+    keys.push({ name: "default", key: config.fccApiKey, scopes: ["*"] });
+  }
+
+  return keys;
+};
+
+// Compare digests so the time taken doesn't reveal how much of a key matched
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+const findKey = (apiKey) => {
+  const presented = digest(apiKey);
+  return getKeys().find(
+    (entry) =>
+      typeof entry.key === "string" &&
+      crypto.timingSafeEqual(digest(entry.key), presented)
+  );
+};
+
+// Token buckets keyed by key name (and client address for the DEMO key)
+const buckets = new Map();
+const MAX_BUCKETS = 10000;
+
+// Take a token from a bucket that refills continuously at
+// requests/perSeconds, holding at most `requests` tokens
+const takeToken = (bucketKey, { requests, perSeconds }) => {
+  const now = Date.now();
+  const refillPerMs = requests / (perSeconds * 1000);
+  const bucket = buckets.get(bucketKey) || { tokens: requests, updatedAt: now };
+  bucket.refillMs = perSeconds * 1000;
+
+  bucket.tokens = Math.min(
+    requests,
+    bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+  );
+  bucket.updatedAt = now;
+
+  const allowed = bucket.tokens >= 1;
+  if (allowed) {
+    bucket.tokens -= 1;
+  }
+  buckets.set(bucketKey, bucket);
+
+  // A bucket left alone long enough to refill is the same as a new one, so
+  // forget those rather than keep one per DEMO client forever
+  if (buckets.size > MAX_BUCKETS) {
+    buckets.forEach((other, key) => {
+      if (now - other.updatedAt > other.refillMs) {
+        buckets.delete(key);
+      }
+    });
+  }
+
+  return {
+    allowed,
+    limit: requests,
+    remaining: Math.floor(bucket.tokens),
+    // Seconds until the bucket is full again, or until the next token
+    reset: Math.ceil((requests - bucket.tokens) / refillPerMs / 1000),
+    retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+  };
+};
+
+// Whether a key's scopes grant a scope. "*" covers every cartridge but not
+// the operator scopes, which demo keys never get.
+const hasScope = (scopes, scope) =>
+  OPERATOR_SCOPES.includes(scope)
+    ? (scopes.includes(scope) || scopes.includes("admin")) &&
+      !scopes.includes("demo")
+    : scopes.includes("*") || scopes.includes(scope);
+
+// Read the key from an "Authorization: Bearer" header, falling back to the
+// fccApiKey query parameter older cartridges use
+const getPresentedKey = (req) => {
+  const match = req.get("Authorization")?.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.query.fccApiKey;
+};
+
+// Middleware requiring a valid, unexpired key with the given scope (a
+// cartridge name, "admin" or "metrics") that still has request budget left.
+// Sets req.apiKey, and req.demoMode for demo keys.
+export const requireApiKey = (scope) => (req, res, next) => {
+  const apiKey = getPresentedKey(req);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      error: "API key is required",
+      message:
+        "Please provide an API key in an Authorization: Bearer header or the fccApiKey query parameter"
+    });
+  }
+
+  const entry = findKey(apiKey);
+
+  if (!entry) {
+    return res.status(403).json({
+      error: "Invalid API key",
+      message: "The provided API key is not valid"
+    });
+  }
+
+  if (entry.expiresAt && new Date(entry.expiresAt) <= new Date()) {
+    return res.status(403).json({
+      error: "Expired API key",
+      message: `The provided API key expired at ${entry.expiresAt}`
+    });
+  }
+
+  const scopes = entry.scopes || [];
+
+  if (!hasScope(scopes, scope)) {
+    return res.status(403).json({
+      error: "Insufficient scope",
+      message: `The provided API key does not have access to ${scope}`
+    });
+  }
+
+  const rate = takeToken(
+    entry === DEMO_KEY ? `${entry.name}:${req.ip}` : entry.name,
+    entry.rateLimit || DEFAULT_RATE_LIMIT
+  );
+
+  res.setHeader("RateLimit-Limit", rate.limit);
+  res.setHeader("RateLimit-Remaining", rate.remaining);
+  res.setHeader("RateLimit-Reset", rate.reset);
+
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", rate.retryAfter);
+    return res.status(429).json({
+      error: "Rate limit exceeded",
+      message: `Too many requests for this API key, retry in ${rate.retryAfter} seconds`
+    });
+  }
+
+  req.apiKey = { name: entry.name, scopes };
+
+  if (scopes.includes("demo")) {
+    req.demoMode = true;
+  }
+
+  next();
+};
+
+// Middleware for routes that need a further scope (such as "admin") from a
+// key requireApiKey has already accepted, without spending more of its budget
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || !hasScope(req.apiKey.scopes, scope)) {
+    return res.status(403).json({
+      error: "Insufficient scope",
+      message: `The provided API key does not have access to ${scope}`
+    });
+  }
+
+  next();
+};
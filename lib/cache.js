@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { config } from "./config.js";
+import { createCounter } from "./metrics.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Disk tiers are kept here, one folder per named cache
+const CACHE_ROOT = config.cacheDir;
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+const cacheLookups = createCounter({
+  name: "cache_lookups_total",
+  help: "Cache lookups, by cache and result (hit, stale or miss)"
+});
+
+// Describe a cache entry the way responses report it in metadata.cache.
+// degraded marks a last known good entry served because its loader failed.
+const describe = (entry, hit, stale, degraded = false) => ({
+  value: entry.value,
+  hit,
+  ageSeconds: Math.round((Date.now() - entry.timestamp) / 1000),
+  stale,
+  degraded
+});
+
+// Create a named cache with a memory tier and an optional disk tier that
+// survives restarts. An entry is fresh for `ttl` ms (overridable per key),
+// then served stale for up to `staleTtl` ms more while it is refreshed in the
+// background. Concurrent loads of the same key share a single loader call.
+// When a load fails, whatever was last cached for the key is served instead,
+// however old, and only with nothing cached does the error reach the caller.
+export const createCache = ({
+  name,
+  ttl,
+  staleTtl = 0,
+  disk = false,
+  maxEntries = DEFAULT_MAX_ENTRIES
+}) => {
+  const memory = new Map();
+  const pending = new Map();
+  const diskDir = path.join(CACHE_ROOT, name);
+
+  const getDiskPath = (key) =>
+    path.join(
+      diskDir,
+      `${crypto.createHash("sha1").update(key).digest("hex")}.json`
+    );
+
+  // Keep the memory tier bounded, dropping the least recently written keys
+  const remember = (key, entry) => {
+    memory.delete(key);
+    memory.set(key, entry);
+
+    while (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  };
+
+  const readEntry = (key) => {
+    if (memory.has(key)) {
+      return memory.get(key);
+    }
+
+    if (!disk) {
+      return null;
+    }
+
+    try {
+      const diskPath = getDiskPath(key);
+
+      if (!fs.existsSync(diskPath)) {
+        return null;
+      }
+
+      const entry = JSON.parse(fs.readFileSync(diskPath, "utf8"));
+      remember(key, entry);
+      return entry;
+    } catch (error) {
+      console.error(`Error reading ${name} cache:`, error);
+      return null;
+    }
+  };
+
+  const writeEntry = (key, entry) => {
+    remember(key, entry);
+
+    if (!disk) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(diskDir, { recursive: true });
+
+      // Write to a temp file first so a half-written entry is never read
+      const diskPath = getDiskPath(key);
+      const tempPath = `${diskPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ key, ...entry }));
+      fs.renameSync(tempPath, diskPath);
+    } catch (error) {
+      console.error(`Error writing ${name} cache:`, error);
+    }
+  };
+
+  // Run the loader for a key, sharing the call with anyone already waiting
+  const load = (key, loader) => {
+    if (!pending.has(key)) {
+      pending.set(
+        key,
+        (async () => {
+          try {
+            const entry = { timestamp: Date.now(), value: await loader() };
+            writeEntry(key, entry);
+            return entry;
+          } finally {
+            pending.delete(key);
+          }
+        })()
+      );
+    }
+
+    return pending.get(key);
+  };
+
+  // Return { value, hit, ageSeconds, stale, degraded } for a key, calling the
+  // loader when nothing usable is cached
+  const get = async (key, loader, options = {}) => {
+    const entryTtl = options.ttl ?? ttl;
+    const entry = readEntry(key);
+    const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+    if (age < entryTtl) {
+      cacheLookups.inc({ cache: name, result: "hit" });
+      return describe(entry, true, false);
+    }
+
+    if (age < entryTtl + staleTtl) {
+      cacheLookups.inc({ cache: name, result: "stale" });
+      load(key, loader).catch((error) =>
+        console.error(`Background refresh of ${name} cache failed:`, error)
+      );
+      return describe(entry, true, true);
+    }
+
+    cacheLookups.inc({ cache: name, result: "miss" });
+
+    try {
+      return describe(await load(key, loader), false, false);
+    } catch (error) {
+      if (!entry) {
+        throw error;
+      }
+
+      console.warn(
+        `Serving last known good ${name} cache entry: ${error.message}`
+      );
+      return describe(entry, true, true, true);
+    }
+  };
+
+  // Return what is cached for a key without ever calling a loader
+  const peek = (key, options = {}) => {
+    const entry = readEntry(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    const entryTtl = options.ttl ?? ttl;
+    return describe(entry, true, Date.now() - entry.timestamp >= entryTtl);
+  };
+
+  // Reload a key now, whatever its age, without waiting for the result
+  const refresh = (key, loader) =>
+    load(key, loader).catch((error) =>
+      console.error(`Refresh of ${name} cache failed:`, error)
+    );
+
+  // Describe every cached key and, for disk tiers, the files holding them
+  const inspect = () => {
+    const now = Date.now();
+    const keys = new Map();
+
+    memory.forEach((entry, key) =>
+      keys.set(key, { key, timestamp: entry.timestamp, inMemory: true })
+    );
+
+    const files = [];
+
+    if (disk && fs.existsSync(diskDir)) {
+      fs.readdirSync(diskDir)
+        .filter((file) => file.endsWith(".json"))
+        .forEach((file) => {
+          const filePath = path.join(diskDir, file);
+          const { size, mtime } = fs.statSync(filePath);
+          files.push({ file, size, modified: mtime.toISOString() });
+
+          try {
+            const { key, timestamp } = JSON.parse(
+              fs.readFileSync(filePath, "utf8")
+            );
+            keys.set(key, {
+              inMemory: false,
+              ...keys.get(key),
+              key,
+              timestamp
+            });
+          } catch (error) {
+            console.error(`Error inspecting ${name} cache file:`, error);
+          }
+        });
+    }
+
+    return {
+      name,
+      ttlSeconds: ttl / 1000,
+      // null when stale entries are served indefinitely while refreshing
+      staleSeconds: Number.isFinite(staleTtl) ? staleTtl / 1000 : null,
+      disk: disk ? diskDir : null,
+      entries: [...keys.values()].map((entry) => ({
+        key: entry.key,
+        cachedAt: new Date(entry.timestamp).toISOString(),
+        ageSeconds: Math.round((now - entry.timestamp) / 1000),
+        stale: now - entry.timestamp >= ttl,
+        inMemory: entry.inMemory,
+        refreshing: pending.has(entry.key)
+      })),
+      files
+    };
+  };
+
+  const remove = (key) => {
+    memory.delete(key);
+
+    if (disk) {
+      fs.rmSync(getDiskPath(key), { force: true });
+    }
+  };
+
+  const clear = () => {
+    memory.clear();
+
+    if (disk) {
+      fs.rmSync(diskDir, { recursive: true, force: true });
+    }
+  };
+
+  return { get, peek, refresh, inspect, delete: remove, clear };
+};
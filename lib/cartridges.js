@@ -0,0 +1,70 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Every folder in here with an index.js is a cartridge. Its index.js exports
+// the router as default and a manifest:
+// {
+//   name: "AircraftOverhead",     // Mount path and API key scope
+//   description: "...",
+//   demo: true,                   // Whether the DEMO key gets demo data
+//   refreshSeconds: 5,            // How often clients should poll
+//   routes: [{ method, path, summary, query, body, response, demo, scope }]
+// }
+// where query maps each parameter to an OpenAPI 3.0 schema object (plus
+// description and required), used to validate requests; body is the JSON
+// request body schema; response is { status, schema } for JSON or
+// { contentType, description } for anything else, either with optional
+// headers (OpenAPI header objects by name); demo: false marks routes
+// the DEMO key can't use; and scope names a further scope the key needs
+// (e.g. "admin"). It may also export admin (cache controls) and status
+// (health details).
+const ENDPOINTS_DIR = path.join(__dirname, "..", "endpoints");
+
+// Import each cartridge, skipping (and logging) any that fail to load or
+// lack a router or manifest so one broken folder doesn't take down the rest
+const discoverCartridges = async () => {
+  const folders = fs
+    .readdirSync(ENDPOINTS_DIR, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(ENDPOINTS_DIR, entry.name, "index.js"))
+    )
+    .map((entry) => entry.name)
+    .sort();
+
+  const cartridges = [];
+
+  for (const folder of folders) {
+    try {
+      const module = await import(
+        pathToFileURL(path.join(ENDPOINTS_DIR, folder, "index.js")).href
+      );
+
+      if (typeof module.default !== "function" || !module.manifest?.name) {
+        throw new Error("index.js must export a router and a named manifest");
+      }
+
+      cartridges.push({
+        name: module.manifest.name,
+        manifest: module.manifest,
+        router: module.default,
+        admin: module.admin,
+        status: module.status
+      });
+    } catch (error) {
+      console.error(`Error loading cartridge ${folder}:`, error);
+    }
+  }
+
+  console.log(
+    `Loaded cartridges: ${cartridges.map(({ name }) => name).join(", ")}`
+  );
+  return cartridges;
+};
+
+export const cartridges = await discoverCartridges();
@@ -0,0 +1,351 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.join(__dirname, "..");
+
+// Everything configurable, read once from the environment (and .env) plus an
+// optional JSON config file. Environment variables win over the file:
+// {
+//   "port": 3108,
+//   "trustProxy": "loopback",
+//   "locations": {
+//     "studio": { "lat": 40.7, "lon": -73.9 },
+//     "home": { "lat": 40.6, "lon": -74.0 },
+//     "rooftop": { "lat": 40.71, "lon": -73.91 }
+//   },
+//   "aircraft": {
+//     "providers": ["local", "adsb.fi"],
+//     "receiver": "http://192.168.1.20/tar1090/data/aircraft.json"
+//   }
+// }
+// Named locations can be picked by any cartridge with location=<name>.
+// studio is required, since it is every cartridge's default observer.
+dotenv.config({ quiet: true });
+
+const DEFAULT_PORT = 3108;
+
+// Where demo data was captured, used for location=demo unless overridden
+const DEFAULT_DEMO_LOCATION = { lat: 40.73061, lon: -73.935242 };
+
+const LOCATION_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// live talks to upstreams; record also saves their responses as fixtures,
+// which replay then serves instead (see fixtures.js)
+const UPSTREAM_MODES = ["live", "record", "replay"];
+
+// Where aircraft can come from: the public adsb.fi and adsb.lol APIs, or a
+// local receiver's aircraft.json
+const AIRCRAFT_PROVIDERS = ["adsb.fi", "adsb.lol", "local"];
+
+// Named address ranges Express accepts for trust proxy
+const TRUST_PROXY_RANGES = ["loopback", "linklocal", "uniquelocal"];
+
+// Problems found while loading, reported together by assertValidConfig
+const errors = [];
+
+const configFile = process.env.CONFIG_FILE || path.join(ROOT, "config.json");
+
+const readConfigFile = () => {
+  if (!fs.existsSync(configFile)) {
+    if (process.env.CONFIG_FILE) {
+      errors.push(`CONFIG_FILE ${configFile} does not exist`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configFile, "utf8"));
+  } catch (error) {
+    errors.push(`${configFile} is not valid JSON: ${error.message}`);
+    return {};
+  }
+};
+
+const file = readConfigFile();
+
+// Parse a number from the environment or config file, recording an error
+// (and returning the fallback) when it is set but invalid
+const readNumber = (name, value, { min, max, integer = false }, fallback) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+
+  const number = Number(value);
+
+  if (
+    !Number.isFinite(number) ||
+    (integer && !Number.isInteger(number)) ||
+    number < min ||
+    number > max
+  ) {
+    errors.push(
+      `${name} must be ${integer ? "a whole number" : "a number"} between ${min} and ${max}, got "${value}"`
+    );
+    return fallback;
+  }
+
+  return number;
+};
+
+// Read a location given as a pair of settings, e.g. FCC_STUDIO_LAT and
+// FCC_STUDIO_LON, which must be set together
+const readLocation = ([latName, lonName], lat, lon) => {
+  const given = [lat, lon].filter(
+    (value) => value !== undefined && value !== ""
+  );
+
+  if (given.length === 0) {
+    return undefined;
+  }
+
+  if (given.length === 1) {
+    errors.push(`${latName} and ${lonName} must be set together`);
+    return undefined;
+  }
+
+  const location = {
+    lat: readNumber(latName, lat, { min: -90, max: 90 }),
+    lon: readNumber(lonName, lon, { min: -180, max: 180 })
+  };
+
+  return location.lat === undefined || location.lon === undefined
+    ? undefined
+    : location;
+};
+
+// The built-in demo location, then named locations from the file, then the
+// studio and home locations from the environment, each overriding the last
+const readLocations = () => {
+  const locations = { demo: DEFAULT_DEMO_LOCATION };
+
+  Object.entries(file.locations || {}).forEach(([name, value]) => {
+    if (!LOCATION_NAME_PATTERN.test(name)) {
+      errors.push(
+        `Location name "${name}" must be lowercase letters, digits and dashes`
+      );
+      return;
+    }
+
+    const location = readLocation(
+      [`locations.${name}.lat`, `locations.${name}.lon`],
+      value?.lat,
+      value?.lon
+    );
+    if (location) {
+      locations[name] = location;
+    }
+  });
+
+  [
+    ["studio", "FCC_STUDIO"],
+    ["home", "FCC_HOME"]
+  ].forEach(([name, prefix]) => {
+    const location = readLocation(
+      [`${prefix}_LAT`, `${prefix}_LON`],
+      process.env[`${prefix}_LAT`],
+      process.env[`${prefix}_LON`]
+    );
+    if (location) {
+      locations[name] = location;
+    }
+  });
+
+  // Only complain about a missing studio if it wasn't given at all, since an
+  // invalid one has already been reported
+  const studioGiven =
+    file.locations?.studio ||
+    process.env.FCC_STUDIO_LAT ||
+    process.env.FCC_STUDIO_LON;
+
+  if (!studioGiven) {
+    errors.push(
+      `The studio location is required: set FCC_STUDIO_LAT and FCC_STUDIO_LON, or locations.studio in ${configFile}`
+    );
+  }
+
+  return locations;
+};
+
+// Aircraft providers in the order to try them, from AIRCRAFT_PROVIDERS
+// (comma-separated) or the config file. The local provider needs to know
+// where the receiver's aircraft.json is.
+const readAircraftProviders = (receiver) => {
+  const providers = process.env.AIRCRAFT_PROVIDERS
+    ? process.env.AIRCRAFT_PROVIDERS.split(",").map((name) => name.trim())
+    : file.aircraft?.providers || ["adsb.fi"];
+
+  if (!Array.isArray(providers) || providers.length === 0) {
+    errors.push("AIRCRAFT_PROVIDERS must list at least one provider");
+    return ["adsb.fi"];
+  }
+
+  const unknown = providers.filter(
+    (name) => !AIRCRAFT_PROVIDERS.includes(name)
+  );
+
+  if (unknown.length > 0) {
+    errors.push(
+      `Unknown aircraft provider ${unknown.join(", ")}: use ${AIRCRAFT_PROVIDERS.join(", ")}`
+    );
+    return ["adsb.fi"];
+  }
+
+  if (providers.includes("local") && !receiver) {
+    errors.push(
+      "The local aircraft provider needs AIRCRAFT_RECEIVER, the path or URL of the receiver's aircraft.json"
+    );
+    return providers.filter((name) => name !== "local");
+  }
+
+  return [...new Set(providers)];
+};
+
+// Which proxies to trust for the client's address (X-Forwarded-For), in any
+// form Express's "trust proxy" setting takes: true or false, a number of
+// hops, or addresses, subnets and range names, comma-separated in
+// TRUST_PROXY or as a list in the config file
+const readTrustProxy = () => {
+  const value = process.env.TRUST_PROXY || file.trustProxy;
+
+  if ([undefined, "", false, "false"].includes(value)) {
+    return false;
+  }
+  if (value === true || value === "true") {
+    return true;
+  }
+  if (Number.isInteger(value) || /^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const entries = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .map((entry) => entry.trim());
+  const invalid = entries.filter((entry) => {
+    const [address, prefix] = String(entry).split("/");
+    return (
+      !TRUST_PROXY_RANGES.includes(entry) &&
+      !(net.isIP(address) && (prefix === undefined || /^\d+$/.test(prefix)))
+    );
+  });
+
+  if (invalid.length > 0) {
+    errors.push(
+      `TRUST_PROXY must be true, false, a number of hops, or addresses, subnets and ${TRUST_PROXY_RANGES.join(", ")}; got "${invalid.join(", ")}"`
+    );
+    return false;
+  }
+
+  return entries;
+};
+
+const readUpstreamMode = () => {
+  const mode = process.env.UPSTREAM_MODE || "live";
+
+  if (!UPSTREAM_MODES.includes(mode)) {
+    errors.push(
+      `UPSTREAM_MODE must be one of: ${UPSTREAM_MODES.join(", ")}, got "${mode}"`
+    );
+    return "live";
+  }
+
+  return mode;
+};
+
+const aircraftReceiver =
+  process.env.AIRCRAFT_RECEIVER || file.aircraft?.receiver;
+
+export const config = {
+  port: readNumber(
+    "PORT",
+    process.env.PORT ?? file.port,
+    { min: 1, max: 65535, integer: true },
+    DEFAULT_PORT
+  ),
+  locations: readLocations(),
+  trustProxy: readTrustProxy(),
+
+  // API keys
+  fccApiKey: process.env.FCC_API_KEY,
+  apiKeysFile: process.env.API_KEYS_FILE || path.join(ROOT, "api-keys.json"),
+  nasaApiKey: process.env.NASA_API_KEY,
+
+  // Storage
+  cacheDir: process.env.CACHE_DIR || path.join(ROOT, "cache"),
+  epicArchiveMaxMb: readNumber(
+    "EPIC_ARCHIVE_MAX_MB",
+    process.env.EPIC_ARCHIVE_MAX_MB,
+    { min: 1, max: Infinity },
+    1024
+  ),
+  tleDir:
+    process.env.TLE_DIR ||
+    path.join(ROOT, "endpoints", "SatellitesOverhead", "tle"),
+  tleGroups: process.env.TLE_GROUPS
+    ? process.env.TLE_GROUPS.split(",").map((group) => group.trim())
+    : null,
+
+  // Aircraft providers, history and alerts
+  aircraftProviders: readAircraftProviders(aircraftReceiver),
+  aircraftReceiver,
+  aircraftHistoryMinutes: readNumber(
+    "AIRCRAFT_HISTORY_MINUTES",
+    process.env.AIRCRAFT_HISTORY_MINUTES,
+    { min: 1, max: 24 * 60 },
+    15
+  ),
+  alertRulesFile:
+    process.env.AIRCRAFT_ALERT_RULES_FILE ||
+    path.join(ROOT, "endpoints", "AircraftOverhead", "alert-rules.json"),
+  alertWebhookSecret: process.env.ALERT_WEBHOOK_SECRET,
+  // Hosts on the LAN (or loopback) that webhooks may still be sent to
+  alertWebhookAllowedHosts: process.env.ALERT_WEBHOOK_ALLOWED_HOSTS
+    ? process.env.ALERT_WEBHOOK_ALLOWED_HOSTS.split(",").map((host) =>
+        host.trim().toLowerCase()
+      )
+    : [],
+
+  // Recording and replaying upstream traffic
+  upstreamMode: readUpstreamMode(),
+  fixturesDir: process.env.FIXTURES_DIR || path.join(ROOT, "fixtures")
+};
+
+// Look up a named location, throwing an error listing the names that exist
+export const getLocation = (name) => {
+  if (!Object.hasOwn(config.locations, name)) {
+    throw new Error(
+      `location must be one of: ${Object.keys(config.locations).join(", ")}`
+    );
+  }
+
+  return config.locations[name];
+};
+
+// The observer for a request: a named location if one was asked for, else
+// the given coordinates, else the studio
+export const resolveLocation = ({ location, lat, lon }) => {
+  if (location !== undefined && location !== "") {
+    if (lat !== undefined || lon !== undefined) {
+      throw new Error("location cannot be combined with lat and lon");
+    }
+    return getLocation(location);
+  }
+
+  return lat === undefined ? config.locations.studio : { lat, lon };
+};
+
+// Stop the server from starting with a broken configuration, listing every
+// problem at once rather than one per restart
+export const assertValidConfig = () => {
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${errors.map((error) => `  - ${error}`).join("\n")}`
+    );
+  }
+};
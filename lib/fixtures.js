@@ -0,0 +1,141 @@
+// Record and replay of upstream traffic, for developing and reproducing bugs
+// without network access or live keys. With UPSTREAM_MODE=record every
+// upstream response is saved under FIXTURES_DIR as it passes through; with
+// UPSTREAM_MODE=replay responses come only from those files, so the real
+// parsing, caching and retry logic runs offline. Keys are redacted from
+// recorded URLs, and replay looks responses up by the redacted URL, so any
+// key (or a dummy one) works when replaying. Local files, given as file:
+// URLs, are recorded and replayed the same way.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { config } from "./config.js";
+
+// Query parameters whose values are never written to disk
+const SECRET_PARAM_PATTERN = /key|token|secret|password/i;
+
+// Content types saved as readable text; anything else is saved as base64
+const TEXT_CONTENT_PATTERN = /json|text|xml/;
+
+export const redactUrl = (url) => {
+  const parsed = new URL(url);
+
+  parsed.searchParams.forEach((value, name) => {
+    if (SECRET_PARAM_PATTERN.test(name)) {
+      parsed.searchParams.set(name, "REDACTED");
+    }
+  });
+
+  return parsed.toString();
+};
+
+// One file per request, named from a hash of everything that identifies it
+const getFixturePath = (upstream, { method, url, body }) => {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${method} ${redactUrl(url)}\n${body || ""}`)
+    .digest("hex")
+    .slice(0, 16);
+
+  return path.join(
+    config.fixturesDir,
+    upstream.toLowerCase().replace(/[^a-z0-9.-]+/g, "-"),
+    `${hash}.json`
+  );
+};
+
+// Save a response and hand back an unread copy of it
+const recordResponse = async (upstream, request, response) => {
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const contentType = response.headers.get("content-type") || "";
+  const isText = TEXT_CONTENT_PATTERN.test(contentType);
+  const file = getFixturePath(upstream, request);
+
+  const fixture = {
+    upstream,
+    request: { method: request.method, url: redactUrl(request.url) },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      contentType,
+      [isText ? "body" : "bodyBase64"]: buffer.toString(
+        isText ? "utf8" : "base64"
+      )
+    },
+    recordedAt: new Date().toISOString()
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  } catch (error) {
+    console.error(`Error recording fixture for ${upstream}:`, error.message);
+  }
+
+  return new Response(buffer.length > 0 ? buffer : null, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+};
+
+// Answer from a recorded fixture, or with a 404 naming what's missing so
+// the gap is obvious without being retried
+const replayResponse = (upstream, request) => {
+  const file = getFixturePath(upstream, request);
+
+  if (!fs.existsSync(file)) {
+    console.warn(
+      `No ${upstream} fixture for ${request.method} ${redactUrl(request.url)}`
+    );
+    return new Response(null, {
+      status: 404,
+      statusText: "No recorded fixture"
+    });
+  }
+
+  const { response } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const body =
+    response.bodyBase64 !== undefined
+      ? Buffer.from(response.bodyBase64, "base64")
+      : response.body;
+
+  return new Response(body.length > 0 ? body : null, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: { "Content-Type": response.contentType }
+  });
+};
+
+// fetch has no file: support, so read those into a response ourselves
+const readFileResponse = async (url) => {
+  const file = fileURLToPath(url);
+
+  return new Response(await fs.promises.readFile(file), {
+    headers: {
+      "Content-Type":
+        path.extname(file) === ".json"
+          ? "application/json"
+          : "application/octet-stream"
+    }
+  });
+};
+
+// fetch for upstream clients, recording or replaying as configured
+export const fetchUpstream = async (upstream, url, init) => {
+  const request = { method: init.method, url, body: init.body };
+
+  if (config.upstreamMode === "replay") {
+    return replayResponse(upstream, request);
+  }
+
+  const response = url.startsWith("file:")
+    ? await readFileResponse(url)
+    : await fetch(url, init);
+
+  return config.upstreamMode === "record"
+    ? recordResponse(upstream, request, response)
+    : response;
+};
@@ -0,0 +1,156 @@
+// In-process metrics, rendered in the Prometheus text exposition format for
+// GET /metrics. Counters and histograms are updated as things happen; gauges
+// are read when metrics are scraped.
+
+// Request and upstream latencies range from cache hits in milliseconds to
+// EPIC image downloads taking most of a minute
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60
+];
+
+// Registered metrics by name, in registration order
+const registry = new Map();
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+// Series are keyed by their label values, sorted by label name
+const getSeriesKey = (labels) =>
+  JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const register = (name, type, help, render) => {
+  if (registry.has(name)) {
+    throw new Error(`Metric ${name} is already registered`);
+  }
+
+  registry.set(name, { name, type, help, render });
+};
+
+// A count that only goes up, e.g. requests served
+export const createCounter = ({ name, help }) => {
+  const series = new Map();
+
+  register(name, "counter", help, () =>
+    [...series.values()].map(
+      ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+    )
+  );
+
+  return {
+    inc: (labels = {}, value = 1) => {
+      const key = getSeriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    }
+  };
+};
+
+// A value read at scrape time: collect returns a number, or a list of
+// { labels, value } for several series
+export const createGauge = ({ name, help, collect }) => {
+  register(name, "gauge", help, async () => {
+    const collected = await collect();
+    const values =
+      typeof collected === "number"
+        ? [{ labels: {}, value: collected }]
+        : collected;
+
+    return values.map(
+      ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+    );
+  });
+};
+
+// A distribution of observed values (e.g. seconds taken), counted into
+// cumulative buckets by upper bound
+export const createHistogram = ({ name, help, buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+
+  register(name, "histogram", help, () =>
+    [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map(
+        (bound, i) =>
+          `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`
+      ),
+      `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  );
+
+  return {
+    observe: (labels, value) => {
+      const key = getSeriesKey(labels);
+      const entry = series.get(key) || {
+        labels,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+
+      buckets.forEach((bound, i) => {
+        if (value <= bound) {
+          entry.counts[i]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    }
+  };
+};
+
+// Seconds elapsed since a process.hrtime.bigint() reading
+export const secondsSince = (start) =>
+  Number(process.hrtime.bigint() - start) / 1e9;
+
+const httpRequests = createCounter({
+  name: "http_requests_total",
+  help: "HTTP requests served, by route, method, status and demo or live mode"
+});
+
+const httpDuration = createHistogram({
+  name: "http_request_duration_seconds",
+  help: "Time taken to serve HTTP requests, by route, method and status"
+});
+
+// Middleware counting and timing every request once its response is sent.
+// Routes are labelled by their pattern (e.g. "/WholeEarthSatelliteImage/
+// image/:filename") rather than the path, so each image doesn't get its own
+// series; requests that match no route share one label.
+export const recordRequestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const labels = { route, method: req.method, status: res.statusCode };
+
+    httpRequests.inc({ ...labels, mode: req.demoMode ? "demo" : "live" });
+    httpDuration.observe(labels, secondsSince(start));
+  });
+
+  next();
+};
+
+// Render every registered metric
+export const renderMetrics = async () => {
+  const lines = [];
+
+  for (const { name, type, help, render } of registry.values()) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    lines.push(...(await render()));
+  }
+
+  return `${lines.join("\n")}\n`;
+};
@@ -0,0 +1,262 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const { version } = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "..", "package.json"), "utf8")
+);
+
+// Every error response carries the same two fields
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    message: { type: "string" }
+  }
+};
+
+const ERROR_RESPONSES = {
+  InvalidParameter: "A query parameter is missing or invalid",
+  Unauthorized: "No API key was given",
+  Forbidden: "The API key is invalid, expired or lacks the cartridge's scope",
+  NotFound: "Nothing matches the path",
+  RateLimited: "The API key's request budget is spent; see Retry-After",
+  ServerError: "Something went wrong fetching or computing the data"
+};
+
+const errorResponse = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// Express paths use ":param" where OpenAPI uses "{param}"
+const toOpenApiPath = (cartridgeName, routePath) =>
+  `/${cartridgeName}${routePath === "/" ? "" : routePath}`.replace(
+    /:(\w+)/g,
+    "{$1}"
+  );
+
+const getPathParams = (routePath) =>
+  [...routePath.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "string" }
+  }));
+
+const getQueryParams = (query = {}) =>
+  Object.entries(query).map(([name, { description, required, ...schema }]) => ({
+    name,
+    in: "query",
+    required: Boolean(required),
+    description,
+    schema
+  }));
+
+// The success response: JSON with a schema, or other content types (images,
+// event streams) described in words
+const getSuccessContent = ({ schema, contentType, description }) => {
+  if (schema) {
+    return { "application/json": { schema } };
+  }
+
+  return Object.fromEntries(
+    [contentType]
+      .flat()
+      .map((type) => [
+        type,
+        { schema: { type: "string", format: "binary", description } }
+      ])
+  );
+};
+
+const buildOperation = (cartridge, route) => {
+  const response = route.response || { schema: { type: "object" } };
+  const pathParams = getPathParams(route.path);
+
+  const operation = {
+    tags: [cartridge.name],
+    summary: route.summary,
+    parameters: [...pathParams, ...getQueryParams(route.query)],
+    responses: {
+      [response.status || 200]: {
+        description: response.description || route.summary,
+        ...(response.headers && { headers: response.headers }),
+        content: getSuccessContent(response)
+      },
+      400: errorResponse("InvalidParameter"),
+      401: errorResponse("Unauthorized"),
+      403: errorResponse("Forbidden"),
+      429: errorResponse("RateLimited"),
+      500: errorResponse("ServerError")
+    }
+  };
+
+  if (pathParams.length > 0) {
+    operation.responses[404] = errorResponse("NotFound");
+  }
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: route.body } }
+    };
+  }
+
+  const notes = [
+    (route.demo === false || cartridge.manifest.demo === false) &&
+      "Not available with the DEMO key.",
+    route.scope && `Requires a key with the ${route.scope} scope.`
+  ].filter(Boolean);
+
+  if (notes.length > 0) {
+    operation.description = notes.join(" ");
+  }
+
+  return operation;
+};
+
+// Build an OpenAPI 3 document from the cartridges' manifests
+export const buildOpenApiDocument = (cartridges) => {
+  const paths = {};
+
+  cartridges.forEach((cartridge) => {
+    cartridge.manifest.routes.forEach((route) => {
+      const openApiPath = toOpenApiPath(cartridge.name, route.path);
+      paths[openApiPath] = {
+        ...paths[openApiPath],
+        [route.method.toLowerCase()]: buildOperation(cartridge, route)
+      };
+    });
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Cartridge Machine API",
+      version,
+      description:
+        "Data for the cartridge machine. Every cartridge needs an API key, sent as an Authorization: Bearer header or the fccApiKey query parameter; the DEMO key serves demo data."
+    },
+    tags: cartridges.map(({ name, manifest }) => ({
+      name,
+      description: manifest.description
+    })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearer: { type: "http", scheme: "bearer" },
+        fccApiKey: { type: "apiKey", in: "query", name: "fccApiKey" }
+      },
+      schemas: { Error: ERROR_SCHEMA },
+      responses: Object.fromEntries(
+        Object.entries(ERROR_RESPONSES).map(([name, description]) => [
+          name,
+          {
+            description,
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" }
+              }
+            }
+          }
+        ])
+      )
+    },
+    security: [{ bearer: [] }, { fccApiKey: [] }]
+  };
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Summarize a parameter schema for the docs table, e.g. "number, min 0"
+const describeSchema = (schema) =>
+  [
+    schema.type,
+    schema.format,
+    schema.enum && `one of ${schema.enum.join(", ")}`,
+    schema.minimum !== undefined &&
+      `${schema.exclusiveMinimum ? "over" : "min"} ${schema.minimum}`,
+    schema.maximum !== undefined && `max ${schema.maximum}`,
+    schema.default !== undefined && `default ${schema.default}`
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+const renderOperation = (openApiPath, method, operation) => {
+  const rows = operation.parameters
+    .map(
+      (param) => `<tr>
+          <td><code>${escapeHtml(param.name)}</code>${param.required ? " *" : ""}</td>
+          <td>${escapeHtml(param.in)}</td>
+          <td>${escapeHtml(describeSchema(param.schema))}</td>
+          <td>${escapeHtml(param.description || "")}</td>
+        </tr>`
+    )
+    .join("");
+
+  const [status, success] = Object.entries(operation.responses)[0];
+  const content = Object.entries(success.content)
+    .map(
+      ([type, { schema }]) => `<details>
+          <summary>${escapeHtml(status)} ${escapeHtml(type)}</summary>
+          <pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>
+        </details>`
+    )
+    .join("");
+
+  return `<section>
+      <h3><span class="method">${method.toUpperCase()}</span> <code>${escapeHtml(openApiPath)}</code></h3>
+      <p>${escapeHtml(operation.summary)}${operation.description ? ` ${escapeHtml(operation.description)}` : ""}</p>
+      ${rows ? `<table><tr><th>Parameter</th><th>In</th><th>Schema</th><th>Description</th></tr>${rows}</table>` : ""}
+      ${content}
+    </section>`;
+};
+
+// Render an OpenAPI document as a self-contained HTML page, grouped by tag
+export const renderDocsPage = (document) => {
+  const sections = document.tags
+    .map((tag) => {
+      const operations = Object.entries(document.paths).flatMap(
+        ([openApiPath, methods]) =>
+          Object.entries(methods)
+            .filter(([, operation]) => operation.tags.includes(tag.name))
+            .map(([method, operation]) =>
+              renderOperation(openApiPath, method, operation)
+            )
+      );
+
+      return `<h2>${escapeHtml(tag.name)}</h2>
+    <p>${escapeHtml(tag.description)}</p>
+    ${operations.join("\n")}`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(document.info.title)}</title>
+    <style>
+      body { font-family: sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; }
+      section { border-top: 1px solid #ddd; padding: 0.5em 0; }
+      .method { background: #333; color: #fff; padding: 0.1em 0.4em; border-radius: 3px; font-size: 0.8em; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { text-align: left; padding: 0.3em; border-bottom: 1px solid #eee; vertical-align: top; }
+      pre { background: #f6f6f6; padding: 0.5em; overflow-x: auto; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+    <p>${escapeHtml(document.info.description)}</p>
+    <p>Machine-readable spec: <a href="/openapi.json">/openapi.json</a>. Parameters marked * are required.</p>
+    ${sections}
+  </body>
+</html>
+`;
+};
@@ -0,0 +1,41 @@
+import { config } from "./config.js";
+
+// Schema fragments shared by every cartridge's manifest
+
+// The location query parameter, naming one of the configured locations
+export const LOCATION_QUERY = {
+  type: "string",
+  enum: Object.keys(config.locations),
+  description: "Named observer location, instead of lat and lon"
+};
+
+// metadata.cache: whether the data came from the cache, and how old it is
+export const CACHE_STATUS_SCHEMA = {
+  type: "object",
+  properties: {
+    hit: { type: "boolean" },
+    ageSeconds: { type: "integer" },
+    stale: {
+      type: "boolean",
+      description: "Served past its freshness while refreshed in the background"
+    }
+  }
+};
+
+// metadata.degraded: true when upstream failed and older data was served
+export const DEGRADED_SCHEMA = {
+  type: "boolean",
+  description: "Upstream failed, so the last known good data was served"
+};
+
+// metadata.location: the observer the data was computed for
+export const LOCATION_SCHEMA = {
+  type: "object",
+  properties: {
+    lat: { type: "number" },
+    lng: { type: "number" }
+  }
+};
+
+// A bare { type: "string", format: "date-time" }, which comes up a lot
+export const TIMESTAMP_SCHEMA = { type: "string", format: "date-time" };
@@ -0,0 +1,234 @@
+// HTTP client for the upstream APIs we depend on, with per-attempt timeouts,
+// retries with jittered exponential backoff and a circuit breaker per
+// upstream, so an upstream that is down fails fast instead of tying up every
+// request for the full timeout and retry schedule.
+
+import { fetchUpstream } from "./fixtures.js";
+import { createCounter, createHistogram, secondsSince } from "./metrics.js";
+
+const USER_AGENT = "CartridgeMachine-API/1.0";
+
+// Statuses worth retrying; anything else is the request's fault
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+export class UpstreamError extends Error {
+  // code is "timeout", "network", "status" or "circuit_open"; status is the
+  // HTTP status for "status" errors
+  constructor(upstream, code, message, status = null) {
+    super(`${upstream}: ${message}`);
+    this.name = "UpstreamError";
+    this.upstream = upstream;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const upstreamRequests = createCounter({
+  name: "upstream_requests_total",
+  help: "Upstream request attempts, by upstream and outcome (success, timeout, network, status or circuit_open)"
+});
+
+const upstreamDuration = createHistogram({
+  name: "upstream_request_duration_seconds",
+  help: "Time taken by upstream request attempts, body included"
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Create a client for one upstream. After `failureThreshold` consecutive
+// failed requests the circuit opens and requests fail immediately; after
+// `resetTimeout` ms one trial request is let through, closing the circuit
+// again if it succeeds.
+export const createUpstream = ({
+  name,
+  timeout = 10000,
+  retries = 2,
+  retryDelay = 1000,
+  failureThreshold = 5,
+  resetTimeout = 30000
+}) => {
+  const circuit = {
+    state: "closed",
+    failures: 0,
+    openedAt: null,
+    trialInFlight: false
+  };
+
+  // When the upstream last answered, and the last error it gave us
+  const history = { lastSuccessAt: null, lastError: null };
+
+  const recordSuccess = () => {
+    circuit.state = "closed";
+    circuit.failures = 0;
+    circuit.openedAt = null;
+  };
+
+  const recordFailure = () => {
+    circuit.failures++;
+
+    if (circuit.state === "half-open" || circuit.failures >= failureThreshold) {
+      if (circuit.state !== "open") {
+        console.warn(`Circuit for ${name} opened after repeated failures`);
+      }
+      circuit.state = "open";
+      circuit.openedAt = Date.now();
+    }
+  };
+
+  // Whether a request may go out now, moving an open circuit to half-open
+  // once it has rested long enough
+  const allowRequest = () => {
+    if (
+      circuit.state === "open" &&
+      Date.now() - circuit.openedAt >= resetTimeout
+    ) {
+      circuit.state = "half-open";
+    }
+
+    if (circuit.state === "half-open") {
+      if (circuit.trialInFlight) {
+        return false;
+      }
+      circuit.trialInFlight = true;
+      return true;
+    }
+
+    return circuit.state === "closed";
+  };
+
+  // Count and time an attempt, by outcome ("success" or the error code)
+  const recordAttempt = (start, outcome) => {
+    upstreamRequests.inc({ upstream: name, outcome });
+    upstreamDuration.observe({ upstream: name }, secondsSince(start));
+  };
+
+  // One attempt, aborted if the response (body included) takes too long
+  const attempt = async (url, options, readBody) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout);
+
+    try {
+      const response = await fetchUpstream(name, url, {
+        method: options.method || "GET",
+        headers: { "User-Agent": USER_AGENT, ...options.headers },
+        body: options.body,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new UpstreamError(
+          name,
+          "status",
+          `returned ${response.status}: ${response.statusText}`,
+          response.status
+        );
+      }
+
+      return await readBody(response);
+    } catch (error) {
+      if (error instanceof UpstreamError) {
+        throw error;
+      }
+
+      if (controller.signal.aborted) {
+        throw new UpstreamError(
+          name,
+          "timeout",
+          `timed out after ${options.timeout}ms`
+        );
+      }
+
+      throw new UpstreamError(name, "network", error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const request = async (url, options, readBody) => {
+    const settings = { timeout, retries, ...options };
+
+    if (!allowRequest()) {
+      upstreamRequests.inc({ upstream: name, outcome: "circuit_open" });
+      throw new UpstreamError(
+        name,
+        "circuit_open",
+        "temporarily unavailable after repeated failures"
+      );
+    }
+
+    // Requests only get through a half-open circuit as its one trial
+    const isTrial = circuit.state === "half-open";
+    let lastError;
+
+    try {
+      for (let i = 0; i <= settings.retries; i++) {
+        const start = process.hrtime.bigint();
+
+        try {
+          const result = await attempt(url, settings, readBody);
+          recordAttempt(start, "success");
+          recordSuccess();
+          history.lastSuccessAt = Date.now();
+          return result;
+        } catch (error) {
+          recordAttempt(start, error.code);
+          lastError = error;
+          history.lastError = { message: error.message, at: Date.now() };
+
+          const retryable =
+            error.code !== "status" ||
+            RETRYABLE_STATUSES.includes(error.status);
+
+          if (!retryable) {
+            // The upstream answered, so it is up even if it refused us
+            recordSuccess();
+            throw error;
+          }
+
+          if (i < settings.retries) {
+            // Exponential backoff, jittered so clients don't retry in step
+            const delay = retryDelay * 2 ** i * (0.5 + Math.random());
+            console.warn(
+              `${lastError.message}, retrying in ${Math.round(delay)}ms`
+            );
+            await wait(delay);
+          }
+        }
+      }
+
+      recordFailure();
+      throw lastError;
+    } finally {
+      if (isTrial) {
+        circuit.trialInFlight = false;
+      }
+    }
+  };
+
+  return {
+    name,
+    fetchJson: (url, options = {}) =>
+      request(url, options, (response) => response.json()),
+    fetchText: (url, options = {}) =>
+      request(url, options, (response) => response.text()),
+    fetchBuffer: (url, options = {}) =>
+      request(url, options, async (response) =>
+        Buffer.from(await response.arrayBuffer())
+      ),
+    getState: () => ({
+      name,
+      state: circuit.state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt
+        ? new Date(circuit.openedAt).toISOString()
+        : null,
+      lastSuccessAt: history.lastSuccessAt
+        ? new Date(history.lastSuccessAt).toISOString()
+        : null,
+      lastError: history.lastError && {
+        message: history.lastError.message,
+        at: new Date(history.lastError.at).toISOString()
+      }
+    })
+  };
+};
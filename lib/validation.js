@@ -0,0 +1,135 @@
+import express from "express";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Describe a numeric schema's range, e.g. "between -90 and 90"
+const describeRange = ({ minimum, maximum, exclusiveMinimum }) => {
+  if (exclusiveMinimum) {
+    return maximum === undefined
+      ? ` greater than ${minimum}`
+      : ` greater than ${minimum} and at most ${maximum}`;
+  }
+  if (minimum !== undefined && maximum !== undefined) {
+    return ` between ${minimum} and ${maximum}`;
+  }
+  if (minimum !== undefined) {
+    return ` of at least ${minimum}`;
+  }
+  if (maximum !== undefined) {
+    return ` of at most ${maximum}`;
+  }
+  return "";
+};
+
+// Check a value against its schema's enum, if it has one
+const checkEnum = (name, value, schema) => {
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new Error(`${name} must be one of: ${schema.enum.join(", ")}`);
+  }
+};
+
+// Check one query parameter against its schema from a cartridge manifest,
+// throwing an error that names the parameter when it doesn't fit, and
+// return it as the type the schema names. Schemas are OpenAPI 3.0 schema
+// objects, of which only the keywords manifests use are supported.
+const parseParam = (name, value, schema) => {
+  if (Array.isArray(value) || typeof value === "object") {
+    throw new Error(`${name} must only be given once`);
+  }
+
+  if (schema.type === "number" || schema.type === "integer") {
+    const number = Number(value);
+    const { minimum, maximum, exclusiveMinimum } = schema;
+
+    if (
+      !Number.isFinite(number) ||
+      (schema.type === "integer" && !Number.isInteger(number)) ||
+      (minimum !== undefined && number < minimum) ||
+      (minimum !== undefined && exclusiveMinimum && number === minimum) ||
+      (maximum !== undefined && number > maximum)
+    ) {
+      const kind = schema.type === "integer" ? "a whole number" : "a number";
+      throw new Error(`${name} must be ${kind}${describeRange(schema)}`);
+    }
+
+    checkEnum(name, number, schema);
+    return number;
+  }
+
+  if (schema.type === "boolean") {
+    if (!["true", "false"].includes(value)) {
+      throw new Error(`${name} must be true or false`);
+    }
+
+    return value === "true";
+  }
+
+  checkEnum(name, value, schema);
+
+  if (schema.format === "date") {
+    const date = new Date(`${value}T00:00:00Z`);
+
+    if (
+      !DATE_PATTERN.test(value) ||
+      isNaN(date) ||
+      date.toISOString().slice(0, 10) !== value
+    ) {
+      throw new Error(`${name} must be a valid date in YYYY-MM-DD format`);
+    }
+  }
+
+  return value;
+};
+
+// Middleware checking a request's query against a route's query schema,
+// answering 400 before the route sees anything it can't use. The route
+// then reads req.validatedQuery, holding each listed parameter converted to
+// its schema's type, or its default when it wasn't given. Parameters the
+// schema doesn't list (such as fccApiKey) are left out, and empty ones count
+// as not given.
+export const validateQuery = (querySchema) => (req, res, next) => {
+  const validatedQuery = {};
+
+  try {
+    Object.entries(querySchema).forEach(([name, schema]) => {
+      const value = req.query[name];
+
+      if (value === undefined || value === "") {
+        if (schema.required) {
+          throw new Error(`${name} is required`);
+        }
+        if (schema.default !== undefined) {
+          validatedQuery[name] = schema.default;
+        }
+        return;
+      }
+
+      validatedQuery[name] = parseParam(name, value, schema);
+    });
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid parameter",
+      message: error.message
+    });
+  }
+
+  req.validatedQuery = validatedQuery;
+  next();
+};
+
+// A router validating the query of each of a cartridge's routes, to mount
+// just ahead of the cartridge's own router
+export const createValidator = (manifest) => {
+  const router = express.Router();
+
+  manifest.routes
+    .filter((route) => route.query)
+    .forEach((route) => {
+      router[route.method.toLowerCase()](
+        route.path,
+        validateQuery(route.query)
+      );
+    });
+
+  return router;
+};
@@ -1,20 +1,56 @@
 import express from "express";
-import dotenv from "dotenv";
-import WholeEarthSatelliteImage from "./endpoints/WholeEarthSatelliteImage/index.js";
-import AircraftOverhead from "./endpoints/AircraftOverhead/index.js";
-import SatellitesOverhead from "./endpoints/SatellitesOverhead/index.js";
+import { assertValidConfig, config } from "./lib/config.js";
+import { recordRequestMetrics } from "./lib/metrics.js";
+import { createValidator } from "./lib/validation.js";
 
-dotenv.config();
+// Refuse to start half-configured, listing everything that needs fixing
+try {
+  assertValidConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Loading the cartridges starts their upstream clients and timers, so they
+// (and everything importing them) are only imported once the config is good
+const [
+  { default: admin },
+  { default: catalog },
+  { default: status },
+  { requireApiKey },
+  { cartridges }
+] = await Promise.all([
+  import("./admin/index.js"),
+  import("./catalog/index.js"),
+  import("./status/index.js"),
+  import("./lib/auth.js"),
+  import("./lib/cartridges.js")
+]);
+
+if (config.upstreamMode !== "live") {
+  console.log(
+    `Upstream traffic ${config.upstreamMode === "record" ? "recorded to" : "replayed from"} ${config.fixturesDir}`
+  );
+}
 
 const app = express();
-const port = 3108;
+const port = config.port;
+
+// Behind a reverse proxy, req.ip (which the DEMO key's rate limit is kept
+// per) is only the client's address if the proxy is trusted
+app.set("trust proxy", config.trustProxy);
 
 app.use(express.json());
+app.use(recordRequestMetrics);
 
 // CORS middleware to allow all origins
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "*");
   res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.header(
+    "Access-Control-Expose-Headers",
+    "RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After"
+  );
   res.header(
     "Access-Control-Allow-Headers",
     "Origin, X-Requested-With, Content-Type, Accept, Authorization"
@@ -28,36 +64,20 @@ app.use((req, res, next) => {
   }
 });
 
-const validateApiKey = (req, res, next) => {
-  const apiKey = req.query.fccApiKey;
-  const validApiKey = process.env.FCC_API_KEY;
-
-  if (!apiKey) {
-    return res.status(401).json({
-      error: "API key is required",
-      message: "Please provide an API key in the fccApiKey query parameter"
-    });
-  }
-
-  // Handle demo mode
-  if (apiKey === "DEMO") {
-    req.demoMode = true;
-    return next();
-  }
+// Each cartridge found in endpoints/, behind a key with its scope, with
+// query parameters checked against its manifest first
+cartridges.forEach(({ name, manifest, router }) => {
+  app.use(`/${name}`, requireApiKey(name), createValidator(manifest), router);
+});
 
-  if (apiKey !== validApiKey) {
-    return res.status(403).json({
-      error: "Invalid API key",
-      message: "The provided API key is not valid"
-    });
-  }
+// Public cartridge catalog, OpenAPI document and docs page
+app.use(catalog);
 
-  next();
-};
+// Liveness, status and metrics
+app.use(status);
 
-app.use("/WholeEarthSatelliteImage", validateApiKey, WholeEarthSatelliteImage);
-app.use("/AircraftOverhead", validateApiKey, AircraftOverhead);
-app.use("/SatellitesOverhead", validateApiKey, SatellitesOverhead);
+// Cache controls, for keys with the admin scope only
+app.use("/admin", requireApiKey("admin"), admin);
 
 app.listen(port, () => {
   console.log(`Server is running at http://localhost:${port}`);
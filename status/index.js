@@ -0,0 +1,106 @@
+import express from "express";
+import { requireApiKey } from "../lib/auth.js";
+import { cartridges } from "../lib/cartridges.js";
+import { config } from "../lib/config.js";
+import { renderMetrics } from "../lib/metrics.js";
+
+const router = express.Router();
+
+// Each cartridge's required settings and health details (upstreams,
+// caches and anything else worth reporting)
+const CARTRIDGES = Object.fromEntries(
+  cartridges
+    .filter((cartridge) => cartridge.status)
+    .map((cartridge) => [cartridge.name, cartridge.status])
+);
+
+// Whether an upstream's circuit is open, or its last call failed
+const isFailing = (upstream) =>
+  upstream.state !== "closed" ||
+  Boolean(
+    upstream.lastError && upstream.lastError.at > (upstream.lastSuccessAt || "")
+  );
+
+// Summarize a cartridge: "misconfigured" when optional settings it needs
+// are missing, "degraded" when an upstream is failing, else "ok"
+const getCartridgeStatus = ({ requiredConfig = [], getDetails }) => {
+  const { upstreams, caches, ...details } = getDetails();
+  const settings = Object.fromEntries(
+    requiredConfig.map((name) => [name, Boolean(config[name])])
+  );
+
+  let state = "ok";
+  if (Object.values(settings).includes(false)) {
+    state = "misconfigured";
+  } else if (upstreams.some(isFailing)) {
+    state = "degraded";
+  }
+
+  return {
+    status: state,
+    config: settings,
+    upstreams,
+    // Cache files are left to the admin API's inspect action
+    caches: caches.map(({ files, ...cache }) => cache),
+    ...details
+  };
+};
+
+// GET endpoint for liveness checks - answers as long as the process does
+router.get("/health", (req, res) => {
+  res.json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
+// GET endpoint for status - per-cartridge health, for admin keys only since
+// cache keys include observer coordinates
+router.get("/status", requireApiKey("admin"), (req, res) => {
+  try {
+    const cartridges = Object.fromEntries(
+      Object.entries(CARTRIDGES).map(([name, cartridge]) => [
+        name,
+        getCartridgeStatus(cartridge)
+      ])
+    );
+    const { rss, heapTotal, heapUsed, external } = process.memoryUsage();
+
+    res.json({
+      status: Object.values(cartridges).every(
+        (cartridge) => cartridge.status === "ok"
+      )
+        ? "ok"
+        : "degraded",
+      cartridges,
+      process: {
+        uptimeSeconds: Math.round(process.uptime()),
+        memory: { rss, heapTotal, heapUsed, external },
+        node: process.version
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error building status:", error);
+    res.status(500).json({
+      message: "Error building status",
+      error: error.message
+    });
+  }
+});
+
+// GET endpoint for Prometheus to scrape, for keys with the metrics scope
+router.get("/metrics", requireApiKey("metrics"), async (req, res) => {
+  try {
+    res.type("text/plain; version=0.0.4").send(await renderMetrics());
+  } catch (error) {
+    console.error("Error rendering metrics:", error);
+    res.status(500).json({
+      message: "Error rendering metrics",
+      error: error.message
+    });
+  }
+});
+
+export default router;